@@ -0,0 +1,257 @@
+// annotator.js
+// Annotation editor for the result page.
+// Annotations are kept as a list of shapes drawn on an overlay canvas above the capture.
+// The capture itself is never modified: `flatten()` renders both into a new canvas for export.
+
+const ANNOTATION_TOOLS = ['none', 'rect', 'arrow', 'pen', 'text', 'highlight', 'blur'];
+
+// Tool sizes in screen pixels; converted to canvas pixels when a shape is created
+const TOOL_SIZES = {
+    rect: 3,
+    arrow: 3,
+    pen: 3,
+    text: 18,
+    highlight: 18,
+    blur: 24
+};
+
+function createAnnotator(baseCanvas, overlayCanvas) {
+    const ctx = overlayCanvas.getContext('2d');
+    let shapes = [];
+    let redoStack = [];
+    let tool = 'none';
+    let color = '#e53935';
+    let draft = null; // Shape being drawn
+
+    function resize() {
+        overlayCanvas.width = baseCanvas.width;
+        overlayCanvas.height = baseCanvas.height;
+        render();
+    }
+
+    // Ratio between canvas pixels and displayed CSS pixels (the preview is scaled down)
+    function displayScale() {
+        return overlayCanvas.clientWidth ? overlayCanvas.width / overlayCanvas.clientWidth : 1;
+    }
+
+    function toCanvasPoint(e) {
+        const rect = overlayCanvas.getBoundingClientRect();
+        const scale = displayScale();
+        return {
+            x: (e.clientX - rect.left) * scale,
+            y: (e.clientY - rect.top) * scale
+        };
+    }
+
+    function render() {
+        ctx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+        drawShapes(ctx, draft ? shapes.concat(draft) : shapes);
+    }
+
+    function drawShapes(targetCtx, list) {
+        list.forEach(shape => drawShape(targetCtx, shape));
+    }
+
+    function drawShape(targetCtx, shape) {
+        targetCtx.save();
+        targetCtx.strokeStyle = shape.color;
+        targetCtx.fillStyle = shape.color;
+        targetCtx.lineWidth = shape.size;
+        targetCtx.lineCap = 'round';
+        targetCtx.lineJoin = 'round';
+
+        if (shape.type === 'rect') {
+            const [a, b] = shape.points;
+            targetCtx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+        } else if (shape.type === 'arrow') {
+            drawArrow(targetCtx, shape.points[0], shape.points[1], shape.size);
+        } else if (shape.type === 'pen') {
+            strokePath(targetCtx, shape.points);
+        } else if (shape.type === 'highlight') {
+            targetCtx.globalAlpha = 0.35;
+            targetCtx.lineCap = 'square';
+            strokePath(targetCtx, shape.points);
+        } else if (shape.type === 'text') {
+            targetCtx.font = `bold ${shape.size}px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif`;
+            targetCtx.textBaseline = 'top';
+            targetCtx.fillText(shape.text, shape.points[0].x, shape.points[0].y);
+        } else if (shape.type === 'blur') {
+            drawPixelated(targetCtx, shape);
+        }
+
+        targetCtx.restore();
+    }
+
+    function strokePath(targetCtx, points) {
+        targetCtx.beginPath();
+        targetCtx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(p => targetCtx.lineTo(p.x, p.y));
+        if (points.length === 1) {
+            targetCtx.lineTo(points[0].x + 0.1, points[0].y);
+        }
+        targetCtx.stroke();
+    }
+
+    function drawArrow(targetCtx, from, to, size) {
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        const head = size * 5;
+
+        targetCtx.beginPath();
+        targetCtx.moveTo(from.x, from.y);
+        targetCtx.lineTo(to.x, to.y);
+        targetCtx.stroke();
+
+        targetCtx.beginPath();
+        targetCtx.moveTo(to.x, to.y);
+        targetCtx.lineTo(to.x - head * Math.cos(angle - Math.PI / 7), to.y - head * Math.sin(angle - Math.PI / 7));
+        targetCtx.lineTo(to.x - head * Math.cos(angle + Math.PI / 7), to.y - head * Math.sin(angle + Math.PI / 7));
+        targetCtx.closePath();
+        targetCtx.fill();
+    }
+
+    // Pixelates the capture underneath the brush stroke (redaction).
+    // Always samples the original capture, never other annotations.
+    function drawPixelated(targetCtx, shape) {
+        const half = shape.size / 2;
+        const xs = shape.points.map(p => p.x);
+        const ys = shape.points.map(p => p.y);
+        const left = Math.max(0, Math.floor(Math.min(...xs) - half));
+        const top = Math.max(0, Math.floor(Math.min(...ys) - half));
+        const right = Math.min(baseCanvas.width, Math.ceil(Math.max(...xs) + half));
+        const bottom = Math.min(baseCanvas.height, Math.ceil(Math.max(...ys) + half));
+        const width = right - left;
+        const height = bottom - top;
+        if (width <= 0 || height <= 0) return;
+
+        const block = Math.max(6, Math.round(shape.size / 3));
+        const small = document.createElement('canvas');
+        small.width = Math.max(1, Math.ceil(width / block));
+        small.height = Math.max(1, Math.ceil(height / block));
+        small.getContext('2d').drawImage(baseCanvas, left, top, width, height, 0, 0, small.width, small.height);
+
+        const patch = document.createElement('canvas');
+        patch.width = width;
+        patch.height = height;
+        const patchCtx = patch.getContext('2d');
+        patchCtx.imageSmoothingEnabled = false;
+        patchCtx.drawImage(small, 0, 0, width, height);
+
+        // Keep only the pixels under the brush path
+        patchCtx.globalCompositeOperation = 'destination-in';
+        patchCtx.lineWidth = shape.size;
+        patchCtx.lineCap = 'round';
+        patchCtx.lineJoin = 'round';
+        patchCtx.translate(-left, -top);
+        strokePath(patchCtx, shape.points);
+
+        targetCtx.drawImage(patch, left, top);
+    }
+
+    function commit(shape) {
+        shapes.push(shape);
+        redoStack = [];
+        draft = null;
+        render();
+    }
+
+    // --- Pointer handling ---
+
+    overlayCanvas.addEventListener('pointerdown', (e) => {
+        if (tool === 'none' || e.button !== 0) return;
+        e.preventDefault();
+        const point = toCanvasPoint(e);
+        const size = TOOL_SIZES[tool] * displayScale();
+
+        if (tool === 'text') {
+            const text = prompt('Label text:');
+            if (text) {
+                commit({ type: 'text', color, size, points: [point], text });
+            }
+            return;
+        }
+
+        overlayCanvas.setPointerCapture(e.pointerId);
+        draft = { type: tool, color, size, points: [point, point] };
+        if (tool === 'pen' || tool === 'highlight' || tool === 'blur') {
+            draft.points = [point];
+        }
+        if (tool === 'highlight') {
+            draft.color = '#ffeb3b';
+        }
+        render();
+    });
+
+    overlayCanvas.addEventListener('pointermove', (e) => {
+        if (!draft) return;
+        const point = toCanvasPoint(e);
+        if (draft.type === 'rect' || draft.type === 'arrow') {
+            draft.points[1] = point;
+        } else {
+            draft.points.push(point);
+        }
+        render();
+    });
+
+    overlayCanvas.addEventListener('pointerup', () => {
+        if (!draft) return;
+        const [a, b] = draft.points;
+        const isEmptyDrag = (draft.type === 'rect' || draft.type === 'arrow') && a.x === b.x && a.y === b.y;
+        if (isEmptyDrag) {
+            draft = null;
+            render();
+            return;
+        }
+        commit(draft);
+    });
+
+    return {
+        resize,
+
+        setTool(name) {
+            tool = ANNOTATION_TOOLS.includes(name) ? name : 'none';
+            overlayCanvas.style.pointerEvents = tool === 'none' ? 'none' : 'auto';
+            overlayCanvas.style.cursor = tool === 'text' ? 'text' : 'crosshair';
+        },
+
+        setColor(value) {
+            color = value;
+        },
+
+        undo() {
+            if (shapes.length === 0) return;
+            redoStack.push(shapes.pop());
+            render();
+        },
+
+        redo() {
+            if (redoStack.length === 0) return;
+            shapes.push(redoStack.pop());
+            render();
+        },
+
+        clear() {
+            shapes = [];
+            redoStack = [];
+            draft = null;
+            render();
+        },
+
+        hasAnnotations() {
+            return shapes.length > 0;
+        },
+
+        // Returns a canvas with the annotations burned into the capture.
+        // Without annotations the original canvas is returned as-is.
+        flatten() {
+            if (shapes.length === 0) return baseCanvas;
+
+            const output = document.createElement('canvas');
+            output.width = baseCanvas.width;
+            output.height = baseCanvas.height;
+            const outputCtx = output.getContext('2d');
+            outputCtx.drawImage(baseCanvas, 0, 0);
+            drawShapes(outputCtx, shapes);
+            return output;
+        }
+    };
+}
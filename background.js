@@ -1,152 +1,780 @@
 // background.js
 
-// Constants
-const OVERLAP = 80;
-const MAX_STEPS = 50;
+importScripts(
+    'settings.js', 'history_store.js', 'stitch_align.js', 'stitcher.js', 'downloads.js', 'image_export.js',
+    'batch_runner.js', 'device_emulation.js', 'zip_writer.js', 'capture_metadata.js', 'page_archive.js',
+    'page_growth.js'
+);
+
+// Constants (the tuning knobs - overlap, step limit, waits - are in settings.js)
+// Chrome allows at most 2 captureVisibleTab calls per second
+const MIN_CAPTURE_INTERVAL = 550;
+// Images for the clipboard go to the page in parts of this size
+const CLIPBOARD_PART_BYTES = 8 * 1024 * 1024;
 
 // State to track capture progress per tab
 const captureState = {};
 
+// Modes where the user first marks what to capture on the page
+const REGION_PICKERS = {
+    element: 'PICK_ELEMENT',
+    region: 'SELECT_REGION'
+};
+
+// Keyboard shortcuts (see "commands" in manifest.json) and context menu entries
+const COMMAND_MODES = {
+    'capture-full-page': 'full',
+    'capture-visible': 'visible',
+    'capture-element': 'element',
+    'capture-image': 'element'
+};
+
+// The content script is only injected once a capture starts, so it cannot know which element was
+// right-clicked: on a page the element is picked afterwards, on an image it is the image
+const CONTEXT_MENU_ITEMS = [
+    { id: 'capture-full-page', title: 'Capture full page', contexts: ['page', 'image'] },
+    { id: 'capture-element', title: 'Pick an element to capture', contexts: ['page'] },
+    { id: 'capture-image', title: 'Capture this image', contexts: ['image'] }
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.removeAll(() => {
+        CONTEXT_MENU_ITEMS.forEach(item => {
+            chrome.contextMenus.create(item);
+        });
+    });
+});
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'START_CAPTURE') {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            const activeTab = tabs[0];
-            if (activeTab) {
-                startCapture(activeTab.id);
-            }
-        });
+        withActiveTab(tab => startCapture(tab.id, message.mode || 'full'));
         sendResponse({ status: 'started' });
+    } else if (message.action === 'CANCEL_CAPTURE') {
+        // From the popup (tabId given) or from Escape in the page (sender tab)
+        const tabId = message.tabId !== undefined ? message.tabId : sender.tab && sender.tab.id;
+        requestStop(tabId, message.keepPartial ? 'keep' : 'cancel');
+        sendResponse({ status: 'stopping' });
+    } else if (message.action === 'GET_CAPTURE_STATUS') {
+        const state = captureState[message.tabId];
+        sendResponse(state ? { active: true, percent: state.percent || 0 } : { active: false });
+    } else if (message.action === 'START_DEVICE_CAPTURE') {
+        sendResponse(startDeviceCaptures(message.tabId, message.devices));
+    } else if (message.action === 'START_BATCH') {
+        sendResponse(startBatch(message.source, message.urls, message.windowId));
+    } else if (message.action === 'RETRY_BATCH_ITEM') {
+        retryBatchItem(message.index);
+        sendResponse(getBatchStatus());
+    } else if (message.action === 'CANCEL_BATCH') {
+        cancelBatch();
+        sendResponse(getBatchStatus());
+    } else if (message.action === 'GET_BATCH_STATUS') {
+        sendResponse(getBatchStatus());
     }
     return true; // Keep channel open
 });
 
-async function startCapture(tabId) {
+// A capture cannot survive its tab: clean up instead of leaving the loop hanging
+chrome.tabs.onRemoved.addListener((tabId) => {
+    if (captureState[tabId]) {
+        abortCapture(tabId, 'Tab was closed during capture.', { restore: false });
+    }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (captureState[tabId] && changeInfo.status === 'loading') {
+        abortCapture(tabId, 'Page navigated away during capture.');
+    }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    const mode = COMMAND_MODES[command];
+    if (!mode) return;
+    if (tab) {
+        startCapture(tab.id, mode);
+    } else {
+        withActiveTab(activeTab => startCapture(activeTab.id, mode));
+    }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    const mode = COMMAND_MODES[info.menuItemId];
+    if (mode && tab) {
+        startCapture(tab.id, mode, { srcUrl: info.menuItemId === 'capture-image' ? info.srcUrl : undefined });
+    }
+});
+
+function withActiveTab(callback) {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        const activeTab = tabs[0];
+        if (activeTab) {
+            callback(activeTab);
+        }
+    });
+}
+
+/**
+ * Single entry point for every capture (popup, keyboard shortcuts, context menu, batches).
+ * @param {number} tabId
+ * @param {'full'|'visible'|'element'|'region'} mode
+ * @param {{srcUrl?: string, batch?: boolean, device?: Object}} options srcUrl: image to capture in element mode, skipping the picker.
+ *   batch: part of a batch or a multi-device run (see batch_runner.js, device_emulation.js): never ask the user anything
+ *   and keep the result in the history only. device: the emulated device the tab is set to, from getDeviceMetrics()
+ * @returns {Promise<{status: 'done', id: string}|{status: 'aborted', message: string}>} Resolves once the capture is over
+ */
+async function startCapture(tabId, mode = 'full', options = {}) {
+    if (captureState[tabId]) {
+        console.warn('A capture is already running in this tab.');
+        return { status: 'aborted', message: 'A capture is already running in this tab.' };
+    }
+
     try {
-        // Inject content script if not already present (or just ensure it's there)
-        await chrome.scripting.executeScript({
-            target: { tabId: tabId },
+        // Inject content script if not already present (or just ensure it's there).
+        // Every frame gets it: the page may scroll inside an iframe. Frames we may not access are skipped.
+        const injected = await chrome.scripting.executeScript({
+            target: { tabId: tabId, allFrames: true },
             files: ['content_script.js']
         });
 
+        // Settings for this site, read once: changes made during a capture apply to the next one
+        const tab = await chrome.tabs.get(tabId);
+        const settings = await loadSettings(getHostname(tab.url));
+        const scroll = {
+            minWidthRatio: settings.capture.containerMinWidth,
+            minHeightRatio: settings.capture.containerMinHeight,
+            selector: settings.capture.containerSelector
+        };
+
+        // Element / region modes: let the user mark the region before the page is prepared for capture
+        let region = null;
+        if (REGION_PICKERS[mode]) {
+            const pick = await sendMessageToTab(tabId, { action: REGION_PICKERS[mode], srcUrl: options.srcUrl, scroll });
+            if (!pick || !pick.region) {
+                console.log('Selection cancelled');
+                return { status: 'aborted', message: 'Selection cancelled.' };
+            }
+            region = pick.region;
+        }
+
+        // Full page: scroll the frame the content lives in. Region modes work on the top document.
+        const frame = mode === 'full' ?
+            await findCaptureFrame(tabId, injected.map(result => result.frameId), scroll) :
+            { frameId: 0, notice: null };
+        const frameId = frame.frameId;
+
+        // Full page: on pages with several scroll containers the user picks one, remembered for the site
+        if (mode === 'full' && settings.capture.askForContainer && !options.batch) {
+            const choice = await sendMessageToTab(tabId, { action: 'CHOOSE_CONTAINER', scroll }, frameId);
+            if (choice && choice.selector) {
+                scroll.selector = choice.selector;
+                // Remembering is a convenience: a full or rate-limited sync storage must not cost the capture
+                try {
+                    await saveSiteSetting(getHostname(tab.url), 'capture', 'containerSelector', choice.selector);
+                } catch (e) {
+                    console.warn('Could not remember the scroll container:', e);
+                }
+            }
+        }
+
         // Initialize capture in content script
-        const response = await sendMessageToTab(tabId, { action: 'INIT_CAPTURE' });
+        const response = await sendMessageToTab(tabId, {
+            action: 'INIT_CAPTURE',
+            mode,
+            scroll,
+            redaction: settings.redaction,
+            fixedElements: settings.fixedElements,
+            settle: {
+                minWait: settings.capture.settleMinMs,
+                maxWait: settings.capture.settleMaxMs,
+                quietPeriod: settings.capture.quietPeriodMs
+            }
+        }, frameId);
 
         if (!response) {
             console.error('Failed to initialize capture');
-            return;
+            return { status: 'aborted', message: 'Failed to initialize capture.' };
+        }
+
+        // Other frames show up in the tiles too (same-origin iframes in the page): mask them as well
+        const redactedFrames = settings.redaction.enabled ?
+            injected.map(result => result.frameId).filter(id => id !== frameId) : [];
+        await Promise.all(redactedFrames.map(id =>
+            sendMessageToTab(tabId, { action: 'REDACT', redaction: settings.redaction }, id)));
+
+        const {
+            fullWidth, fullHeight, visibleWidth, visibleHeight, viewportWidth, viewportHeight,
+            originalScrollX, originalScrollY, containerOffset, frameOffset, containerSelector
+        } = response;
+
+        // Image pixels per CSS pixel. A device emulated wider than the window is scaled down to fit
+        // (see device_emulation.js), so each CSS pixel gets fewer image pixels.
+        const devicePixelRatio = response.devicePixelRatio * (options.device ? options.device.scale : 1);
+
+        // Inside a frame only the frame's scroll container is kept from each tile, placed at the
+        // container's scroll position: the output is the frame's content, not the page around it
+        const clip = frameId !== 0 ? {
+            x: frameOffset.x + containerOffset.x,
+            y: frameOffset.y + containerOffset.y,
+            width: visibleWidth,
+            height: visibleHeight
+        } : null;
+
+        // Visible mode: a region covering exactly what is on screen right now
+        if (mode === 'visible') {
+            region = {
+                x: originalScrollX + containerOffset.x,
+                y: originalScrollY + containerOffset.y,
+                width: visibleWidth,
+                height: visibleHeight
+            };
         }
 
-        const { fullHeight, visibleHeight, devicePixelRatio, originalScrollY } = response;
+        // Scroll range to cover, in scroll coordinates of the container.
+        // Full page: the whole scrollable area. Region: only as far as the region needs.
+        // Regions are in page coordinates, so subtract where the container sits in the viewport.
+        const bounds = region ? {
+            left: Math.max(0, region.x - containerOffset.x),
+            top: Math.max(0, region.y - containerOffset.y),
+            right: region.x + region.width - containerOffset.x,
+            bottom: region.y + region.height - containerOffset.y
+        } : { left: 0, top: 0, right: fullWidth, bottom: fullHeight };
 
-        captureState[tabId] = {
-            images: [],
+        // Output frame of the stitched image: the selected region, or everything the tiles cover.
+        // A tile is a whole viewport (or the clipped container), so columns span from the first scroll
+        // position to the last one plus a tile.
+        const captureId = createCaptureId();
+        const timestamp = Date.now();
+        const metadata = {
+            url: tab.url,
+            title: tab.title,
+            capturedAt: timestamp,
+            viewport: { width: viewportWidth, height: viewportHeight },
+            devicePixelRatio,
+            containerSelector
+        };
+        const lastColumnX = Math.max(bounds.left, bounds.right - visibleWidth);
+        const tileWidth = clip ? clip.width : viewportWidth;
+        const band = getProvenanceBand(settings.output.provenanceBand, devicePixelRatio, metadata);
+        const stitcher = createStitcher({
+            width: (region ? region.width : lastColumnX - bounds.left + tileWidth) * devicePixelRatio,
+            maxHeight: region ? region.height * devicePixelRatio : null,
+            expectedHeight: (region ? region.height : bounds.bottom - bounds.top) * devicePixelRatio,
+            scale: devicePixelRatio,
+            overlap: settings.capture.overlap,
+            originX: region ? region.x : bounds.left,
+            originY: region ? region.y : bounds.top,
+            clip,
+            band,
+            onSegment: (blob, part) => saveCaptureImage(captureId, part, blob)
+        });
+
+        const state = captureState[tabId] = {
+            id: captureId,
+            url: tab.url,
+            title: tab.title,
+            device: options.device || null,
+            windowId: tab.windowId,
+            frameId,
+            redactedFrames,
+            notice: frame.notice,
+            timestamp,
+            metadata,
+            batch: Boolean(options.batch),
+            settings,
+            stitcher,
+            tiles: 0,
+            timings: [], // Per-step settle timings reported by the content script
+            fullWidth,
             fullHeight,
+            visibleWidth,
             visibleHeight,
             devicePixelRatio,
+            originalScrollX,
             originalScrollY,
-            currentY: 0,
-            steps: 0,
-            overlap: OVERLAP
+            bounds,
+            // Page position (CSS px) of the image's top-left corner, for placing the page's text over it.
+            // Tiles cut to a frame start at its scroll container; a header band pushes the page down.
+            textOrigin: {
+                x: (region ? region.x : bounds.left) + (clip ? containerOffset.x : 0),
+                y: (region ? region.y : bounds.top) + (clip ? containerOffset.y : 0) -
+                    (band && band.position === 'header' ? band.height / devicePixelRatio : 0)
+            },
+            // Full pages follow content that loads while scrolling, up to this scroll position
+            maxBottom: region ? bounds.bottom : getMaxBottom(fullHeight, visibleHeight, settings.lazyLoad),
+            preload: !region && settings.lazyLoad.preload,
+            currentX: bounds.left,
+            currentY: bounds.top,
+            steps: 0
         };
 
+        // finishCapture() / abortCapture() settle this
+        const finished = new Promise(resolve => {
+            state.onFinished = resolve;
+        });
         captureLoop(tabId);
+        return finished;
 
     } catch (err) {
         console.error('Error starting capture:', err);
+        return { status: 'aborted', message: err.message };
+    }
+}
+
+// The frame a full-page capture scrolls: the top document if it scrolls, else the largest frame
+// whose content scrolls and covers enough of the tab (same thresholds as scroll containers).
+// Frames from another origin cannot be placed on screen: the capture then falls back to the top
+// document with a notice. See describeFrame() in content_script.js.
+async function findCaptureFrame(tabId, frameIds, scroll) {
+    const reports = await Promise.all(frameIds.map(async frameId =>
+        ({ frameId, ...(await sendMessageToTab(tabId, { action: 'DESCRIBE_FRAME', scroll }, frameId)) })));
+    const top = reports.find(report => report.frameId === 0);
+    if (!top || !top.rect || top.scrolls) {
+        return { frameId: 0, notice: null };
+    }
+
+    let best = null;
+    let bestArea = 0;
+    reports.forEach(report => {
+        if (report.frameId === 0 || !report.scrolls || !report.rect) return;
+        // Only the part of the frame inside the tab counts
+        const { x, y, width, height } = report.rect;
+        const visibleWidth = Math.min(x + width, top.rect.width) - Math.max(x, 0);
+        const visibleHeight = Math.min(y + height, top.rect.height) - Math.max(y, 0);
+        if (visibleWidth < top.rect.width * scroll.minWidthRatio || visibleHeight < top.rect.height * scroll.minHeightRatio) return;
+        if (visibleWidth * visibleHeight > bestArea) {
+            best = report;
+            bestArea = visibleWidth * visibleHeight;
+        }
+    });
+
+    if (best) {
+        console.log('Capturing the content of frame', best.frameId);
+        return { frameId: best.frameId, notice: null };
+    }
+    if (top.crossOriginFrame) {
+        return {
+            frameId: 0,
+            notice: 'This page scrolls inside a frame from another site, which cannot be captured in full: ' +
+                'only its visible part was captured. Open the frame in its own tab to capture all of it.'
+        };
     }
+    return { frameId: 0, notice: null };
 }
 
 async function captureLoop(tabId) {
     const state = captureState[tabId];
     if (!state) return;
 
+    // Stop requested by the user: keep what we have, or throw it away
+    if (state.stopRequested === 'keep') {
+        finishCapture(tabId);
+        return;
+    }
+    if (state.stopRequested === 'cancel') {
+        abortCapture(tabId, 'Capture cancelled.');
+        return;
+    }
+
+    // Trigger lazy loaders before the first tile; the page may be taller afterwards
+    if (state.preload) {
+        state.preload = false;
+        const metrics = await sendMessageToTab(tabId, {
+            action: 'PRELOAD',
+            maxHeight: Number.isFinite(state.maxBottom) ? state.maxBottom : 0
+        }, state.frameId);
+        if (captureState[tabId] !== state) return;
+        if (metrics) {
+            followPageGrowth(state, metrics.fullHeight);
+        }
+        captureLoop(tabId);
+        return;
+    }
+
     // Check max steps
-    if (state.steps >= MAX_STEPS) {
+    if (state.steps >= state.settings.capture.maxSteps) {
         console.warn('Reached max steps, finishing capture.');
         finishCapture(tabId);
         return;
     }
     state.steps++;
 
-    // Scroll to currentY
-    const response = await sendMessageToTab(tabId, { action: 'SCROLL_TO', y: state.currentY });
+    // Scroll to (currentX, currentY). The content script shows or hides fixed headers/footers
+    // depending on where the tile is on the page (see applyFixedPolicy() in content_script.js).
+    const response = await sendMessageToTab(tabId, {
+        action: 'SCROLL_TO',
+        x: state.currentX,
+        y: state.currentY,
+        atPageTop: state.currentY === 0,
+        lastRow: state.currentY + state.visibleHeight >= state.bounds.bottom,
+        firstColumn: state.currentX === state.bounds.left
+    }, state.frameId);
+    if (captureState[tabId] !== state) return; // Aborted while scrolling
 
-    // Update currentY to what was actually scrolled to
+    // Update position to what was actually scrolled to
+    const actualX = response && response.actualX !== undefined ? response.actualX : state.currentX;
     const actualY = response && response.actualY !== undefined ? response.actualY : state.currentY;
 
+    if (response && response.timings) {
+        state.timings.push({ x: actualX, y: actualY, ...response.timings });
+    }
+    if (response && response.fullHeight) {
+        followPageGrowth(state, response.fullHeight);
+    }
+
+    // Fast-settling pages could otherwise exceed Chrome's capture rate limit
+    const sinceLastCapture = Date.now() - (state.lastCaptureAt || 0);
+    if (sinceLastCapture < MIN_CAPTURE_INTERVAL) {
+        await wait(MIN_CAPTURE_INTERVAL - sinceLastCapture);
+        if (captureState[tabId] !== state) return;
+    }
+    state.lastCaptureAt = Date.now();
+
     // Capture visible tab
-    chrome.tabs.captureVisibleTab(null, { format: 'png' }, (dataUrl) => {
-        if (chrome.runtime.lastError || !dataUrl) {
-            console.error('Capture failed:', chrome.runtime.lastError);
-            finishCapture(tabId);
-            return;
-        }
+    let dataUrl;
+    try {
+        dataUrl = await chrome.tabs.captureVisibleTab(state.windowId, { format: 'png' });
+    } catch (e) {
+        console.error('Capture failed:', e);
+    }
+    if (captureState[tabId] !== state) return; // Aborted while capturing
 
-        state.images.push({
-            y: actualY,
-            dataUrl: dataUrl
-        });
+    if (!dataUrl) {
+        finishCapture(tabId);
+        return;
+    }
 
-        // Send progress update
-        const percent = Math.min(Math.round((actualY / state.fullHeight) * 100), 100);
-        sendMessageToTab(tabId, { action: 'UPDATE_PROGRESS', percent: percent });
-
-        // Calculate next scroll position
-        // Step size = visibleHeight - OVERLAP
-        const nextY = actualY + state.visibleHeight - OVERLAP;
-
-        // Check if we are done
-        // 1. If we reached the bottom (nextY >= fullHeight)
-        // 2. If we are stuck (actualY didn't move much despite asking to scroll)
-        //    We need to compare actualY with previous actualY? 
-        //    Actually, if nextY is what we *want* to scroll to, and actualY is what we *did* scroll to.
-        //    If we are at the bottom, actualY will be maxScroll.
-        //    If we try to scroll to nextY > maxScroll, actualY will stay maxScroll.
-        //    So if nextY > actualY + visibleHeight? No.
-
-        // Simple check: if actualY + visibleHeight >= fullHeight, we have captured the bottom.
-        // BUT, fullHeight might be dynamic.
-        // Better check: If actualY didn't change from previous step?
-        // We can store prevY.
-
-        if (state.prevY !== undefined && actualY === state.prevY) {
-            console.log('Scroll stuck, finishing.');
-            finishCapture(tabId);
-            return;
-        }
-        state.prevY = actualY;
-        state.currentY = nextY;
-
-        // If we have covered the full height (or close enough)
-        if (actualY + state.visibleHeight >= state.fullHeight) {
-            finishCapture(tabId);
-        } else {
-            captureLoop(tabId);
-        }
-    });
+    // Stitch right away instead of keeping every tile around
+    try {
+        const tileBlob = await (await fetch(dataUrl)).blob();
+        await state.stitcher.addTile(tileBlob, actualX, actualY);
+        state.tiles++;
+    } catch (e) {
+        console.error('Stitching failed:', e);
+        abortCapture(tabId, 'Failed to stitch the capture: ' + e.message);
+        return;
+    }
+    if (captureState[tabId] !== state) return;
+
+    // Send progress update (rows done plus how far along the current row we are)
+    const { bounds } = state;
+    const rowFraction = Math.min((actualX + state.visibleWidth - bounds.left) / (bounds.right - bounds.left), 1);
+    const covered = (actualY - bounds.top) + state.visibleHeight * rowFraction;
+    const percent = Math.min(Math.round((covered / (bounds.bottom - bounds.top)) * 100), 100);
+    reportProgress(tabId, percent);
+
+    // Pages wider than the viewport are captured row by row:
+    // step right across the current row before moving down.
+    // A row is done when its right edge is covered or the scroll got stuck horizontally.
+    const rowDone = actualX + state.visibleWidth >= bounds.right ||
+        (state.prevX !== undefined && actualX === state.prevX);
+
+    if (!rowDone) {
+        state.prevX = actualX;
+        state.currentX = actualX + state.visibleWidth - state.settings.capture.overlap;
+        captureLoop(tabId);
+        return;
+    }
+    state.prevX = undefined;
+    state.currentX = bounds.left;
+
+    // Calculate next row position
+    // Step size = visibleHeight - overlap
+    const nextY = actualY + state.visibleHeight - state.settings.capture.overlap;
+
+    // Check if we are done
+    // 1. If we reached the bottom (actualY + visibleHeight >= bounds.bottom)
+    // 2. If we are stuck (actualY didn't move since the previous row)
+    if (state.prevY !== undefined && actualY === state.prevY) {
+        console.log('Scroll stuck, finishing.');
+        finishCapture(tabId);
+        return;
+    }
+    state.prevY = actualY;
+    state.currentY = nextY;
+
+    // If we have covered the full height (or close enough)
+    if (actualY + state.visibleHeight >= bounds.bottom) {
+        finishCapture(tabId);
+    } else {
+        captureLoop(tabId);
+    }
+}
+
+// The stitcher band for the "provenance band" setting: URL and capture time above or below the image
+function getProvenanceBand(position, scale, metadata) {
+    if (position !== 'header' && position !== 'footer') return null;
+    return {
+        position,
+        height: getBandHeight(scale),
+        draw: (ctx, y, width) => drawProvenanceBand(ctx, y, width, scale, metadata)
+    };
 }
 
 async function finishCapture(tabId) {
     const state = captureState[tabId];
+    if (!state) return;
+    delete captureState[tabId];
+
+    logTimings(state);
+
+    // The page's text is read before the page is restored, while redacted text is still masked
+    const text = state.settings.output.savePage ?
+        await sendMessageToTab(tabId, { action: 'COLLECT_TEXT' }, state.frameId) : null;
 
     // Restore page
-    await sendMessageToTab(tabId, { action: 'RESTORE', originalScrollY: state.originalScrollY });
+    await restorePage(tabId, state);
 
-    // Save data to storage
+    // The image parts are already in the history store; add the record that ties them together
+    let record;
     try {
-        await chrome.storage.local.set({ 'capturedData': state });
-        chrome.tabs.create({ url: 'result.html' });
+        const output = await state.stitcher.finish();
+        logSeams(output.seams);
+        const page = state.settings.output.savePage ? await savePage(tabId, state, text, output) : null;
+        record = {
+            id: state.id,
+            url: state.url,
+            title: state.title,
+            timestamp: state.timestamp,
+            width: output.width,
+            height: output.height,
+            parts: output.parts,
+            bytes: output.bytes + (page ? page.bytes : 0),
+            thumbnail: output.thumbnail,
+            devicePixelRatio: state.devicePixelRatio,
+            device: state.device,
+            metadata: state.metadata,
+            notice: state.notice,
+            page: page && { text: page.text, mhtml: page.mhtml },
+            timings: state.timings,
+            seams: output.seams
+        };
+        await saveCaptureRecord(record);
+        // Batch captures are pruned by the next regular capture, so a batch can be zipped in full first
+        if (!state.batch) {
+            await enforceRetention({
+                maxCount: state.settings.history.maxCount,
+                maxBytes: state.settings.history.maxMegabytes * 1024 * 1024
+            }, getActiveCaptureIds());
+        }
     } catch (e) {
-        console.error('Error saving to storage:', e);
-        alert('Image too large to process with simple storage.');
+        console.error('Error saving capture:', e);
+        deleteCapture(state.id).catch(() => {});
+        const message = 'Failed to save the capture: ' + e.message;
+        broadcastStatus(tabId, { status: 'aborted', message });
+        state.onFinished({ status: 'aborted', message });
+        return;
+    }
+
+    let message = state.batch ? 'Done.' : await deliverCapture(tabId, record, state.settings.output);
+    if (state.notice) {
+        message = `${message} ${state.notice}`;
+    }
+    broadcastStatus(tabId, { status: 'done', message });
+    state.onFinished({ status: 'done', id: state.id });
+}
+
+// Keeps the page with the capture: the text layer and, when the "pageCapture" permission was granted
+// (see options.js), an MHTML copy. The copy is of the restored page, so it is left out when
+// redaction is on: it would contain what the image masks.
+async function savePage(tabId, state, text, output) {
+    const textLayer = text && text.runs ? placeTextLayer(text, state.textOrigin, {
+        width: output.width / state.devicePixelRatio,
+        height: output.height / state.devicePixelRatio
+    }) : null;
+
+    let mhtml = null;
+    if (chrome.pageCapture && !state.settings.redaction.enabled) {
+        try {
+            mhtml = await chrome.pageCapture.saveAsMHTML({ tabId });
+        } catch (e) {
+            console.warn('Could not save the page as MHTML:', e);
+        }
+    }
+    if (!textLayer && !mhtml) return null;
+
+    await saveCapturePage(state.id, { textLayer, mhtml });
+    return {
+        text: Boolean(textLayer),
+        mhtml: Boolean(mhtml),
+        bytes: (mhtml ? mhtml.size : 0) + (textLayer ? JSON.stringify(textLayer).length : 0)
+    };
+}
+
+// Hands the finished capture over as configured in the settings: open the result tab,
+// copy it to the clipboard or download it without asking. Falls back to the result tab
+// when that fails. Returns a status line for the popup.
+async function deliverCapture(tabId, record, output) {
+    if (output.afterCapture === 'clipboard') {
+        const { error, size } = await copyToTabClipboard(tabId, record);
+        if (!error) {
+            return size ? `Too large for the clipboard, so a ${size.width}×${size.height} copy was used.` : 'Copied to clipboard.';
+        }
+        openResult(record.id);
+        return `${error} Opened the result instead.`;
+    }
+
+    if (output.afterCapture === 'download') {
+        try {
+            for (let part = 0; part < record.parts; part++) {
+                const blob = await convertImage(await getCaptureImage(record.id, part), output.format, output.quality);
+                await saveCaptureFile(blob, EXPORT_FORMATS[output.format].extension, record, {
+                    suffix: record.parts > 1 ? `-part${part + 1}` : '',
+                    silent: true
+                });
+            }
+            return 'Saved to your downloads.';
+        } catch (e) {
+            openResult(record.id);
+            return `Download failed (${e.message}). Opened the result instead.`;
+        }
     }
 
+    openResult(record.id);
+    return 'Done.';
+}
+
+// Silent downloads use the default format from the settings; the stored parts are PNG
+async function convertImage(blob, format, quality) {
+    if (format === 'png') return blob;
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return (await exportCanvas(canvas, { format, quality: quality / 100 })).blob;
+}
+
+function openResult(id) {
+    chrome.tabs.create({ url: `result.html?id=${id}` });
+}
+
+// The background worker has no clipboard, so the captured page (which has focus) writes the image.
+// Images over MAX_CLIPBOARD_PIXELS are downscaled first, like on the result page.
+// Returns why copying failed, and the size of the copy if it was downscaled.
+async function copyToTabClipboard(tabId, record) {
+    if (record.parts > 1) {
+        return { error: 'The image is too large for the clipboard.' };
+    }
+    let blob = await getCaptureImage(record.id, 0);
+    let size = null;
+    const pixels = record.width * record.height;
+    if (pixels > MAX_CLIPBOARD_PIXELS) {
+        const bitmap = await createImageBitmap(blob);
+        const canvas = downscaleCanvas(bitmap, Math.sqrt(MAX_CLIPBOARD_PIXELS / pixels));
+        bitmap.close();
+        blob = await canvasToBlob(canvas, 'image/png');
+        size = { width: canvas.width, height: canvas.height };
+    }
+    // Sent in parts: the whole image in one message can be over the message size limit
+    for (let start = 0, part = 0; start < blob.size; start += CLIPBOARD_PART_BYTES, part++) {
+        const dataUrl = await blobToDataUrl(blob.slice(start, start + CLIPBOARD_PART_BYTES));
+        if (!await sendMessageToTab(tabId, { action: 'COPY_IMAGE_PART', part, dataUrl })) {
+            return { error: 'Could not copy to the clipboard.' };
+        }
+    }
+    const response = await sendMessageToTab(tabId, { action: 'COPY_IMAGE', type: 'image/png' });
+    if (!response || response.error) {
+        return { error: `Could not copy to the clipboard${response ? ': ' + response.error : ''}.` };
+    }
+    return { error: null, size };
+}
+
+// Stops the capture at the next step. 'keep' stitches the tiles captured so far, 'cancel' discards them.
+function requestStop(tabId, how) {
+    const state = captureState[tabId];
+    if (state) {
+        state.stopRequested = how;
+    }
+}
+
+// Puts the capturing frame back as it was. The progress bar lives in the top frame.
+async function restorePage(tabId, state) {
+    await sendMessageToTab(tabId, {
+        action: 'RESTORE',
+        originalScrollX: state.originalScrollX,
+        originalScrollY: state.originalScrollY
+    }, state.frameId);
+    await Promise.all(state.redactedFrames.map(id => sendMessageToTab(tabId, { action: 'UNDO_REDACTION' }, id)));
+    if (state.frameId !== 0) {
+        await sendMessageToTab(tabId, { action: 'HIDE_PROGRESS' });
+    }
+}
+
+// Ends a capture without producing a result: the page is restored (unless the tab is gone)
+// and the parts stitched so far are dropped
+async function abortCapture(tabId, reason, { restore = true } = {}) {
+    const state = captureState[tabId];
+    if (!state) return;
     delete captureState[tabId];
+
+    console.log('Capture aborted:', reason);
+    state.stitcher.dispose();
+    deleteCapture(state.id).catch(e => console.error('Error removing partial capture:', e));
+
+    if (restore) {
+        await restorePage(tabId, state);
+    }
+    broadcastStatus(tabId, { status: 'aborted', message: reason });
+    state.onFinished({ status: 'aborted', message: reason });
+}
+
+// Progress goes to the in-page bar and to the popup (if open)
+function reportProgress(tabId, percent) {
+    captureState[tabId].percent = percent;
+    sendMessageToTab(tabId, { action: 'UPDATE_PROGRESS', percent: percent });
+    broadcastStatus(tabId, { status: 'capturing', percent: percent });
+}
+
+function broadcastStatus(tabId, update) {
+    // Rejects when no extension page is listening (popup closed); that's fine
+    chrome.runtime.sendMessage({ action: 'CAPTURE_STATUS', tabId, ...update }).catch(() => {});
+}
+
+// Summarizes where the settle time went (see waitForSettle in content_script.js)
+function logTimings(state) {
+    if (state.timings.length === 0) return;
+    const totals = summarizeTimings(state.timings);
+    console.log(`Capture settled ${state.timings.length} steps in ${totals.total} ms ` +
+        `(images ${totals.images}, animations ${totals.animations}, fonts ${totals.fonts}, quiet ${totals.quiet}; ` +
+        `${totals.timedOut} steps hit the max wait)`);
+    console.table(state.timings);
+}
+
+// Seam report: where rows of tiles were moved from their reported scroll position (see stitch_align.js)
+function logSeams(seams) {
+    if (seams.length === 0) return;
+    const moved = seams.filter(seam => seam.shift !== seam.expectedShift).length;
+    const unmatched = seams.filter(seam => !seam.aligned).length;
+    console.log(`Stitched ${seams.length + 1} rows: ${moved} seams moved by image matching, ` +
+        `${unmatched} kept the scroll offset (no confident match)`);
+    console.table(seams);
+}
+
+function summarizeTimings(timings) {
+    const totals = { images: 0, animations: 0, fonts: 0, quiet: 0, total: 0, timedOut: 0 };
+    timings.forEach(step => {
+        Object.keys(totals).forEach(key => {
+            totals[key] += Number(step[key]) || 0;
+        });
+    });
+    return totals;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Captures running in any tab: their image parts are in the history store before their record
+function getActiveCaptureIds() {
+    return Object.values(captureState).map(state => state.id);
+}
+
+function createCaptureId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
 }
 
-function sendMessageToTab(tabId, message) {
+// The content script runs in every frame: messages go to the top frame unless `frameId` says otherwise
+function sendMessageToTab(tabId, message, frameId = 0) {
     return new Promise((resolve) => {
-        chrome.tabs.sendMessage(tabId, message, (response) => {
+        chrome.tabs.sendMessage(tabId, message, { frameId }, (response) => {
             resolve(response);
         });
     });
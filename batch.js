@@ -0,0 +1,199 @@
+// batch.js
+// Batch page: starts a batch in the background worker (batch_runner.js), follows its
+// progress and bundles the finished captures into one ZIP with a manifest.
+
+const STATUS_TEXT = {
+    pending: 'Waiting',
+    capturing: 'Capturing',
+    done: 'Done',
+    failed: 'Failed',
+    skipped: 'Skipped'
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const urlsInput = document.getElementById('urls');
+    const startBtn = document.getElementById('startBtn');
+    const cancelBtn = document.getElementById('cancelBtn');
+    const zipBtn = document.getElementById('zipBtn');
+    const setupError = document.getElementById('setupError');
+    const summary = document.getElementById('summary');
+    const list = document.getElementById('items');
+    let items = [];
+    // Progress of the capture running in each tab
+    const percents = {};
+
+    document.querySelectorAll('input[name="source"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            urlsInput.disabled = getSource() !== 'urls';
+        });
+    });
+
+    startBtn.addEventListener('click', async () => {
+        setupError.textContent = '';
+        const source = getSource();
+        let urls = [];
+        if (source === 'urls') {
+            const parsed = parseUrls(urlsInput.value);
+            if (parsed.invalid.length > 0) {
+                setupError.textContent = `Not a web address: ${parsed.invalid[0]}`;
+                return;
+            }
+            if (parsed.urls.length === 0) {
+                setupError.textContent = 'Enter at least one URL.';
+                return;
+            }
+            urls = parsed.urls;
+        }
+
+        // Capturing pages other than the active tab needs access to every site
+        const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+        if (!granted) {
+            setupError.textContent = 'Batch capture needs access to all sites.';
+            return;
+        }
+
+        const tab = await chrome.tabs.getCurrent();
+        const response = await chrome.runtime.sendMessage({ action: 'START_BATCH', source, urls, windowId: tab.windowId });
+        if (response && response.error) {
+            setupError.textContent = response.error;
+            return;
+        }
+        render(response);
+    });
+
+    cancelBtn.addEventListener('click', async () => {
+        render(await chrome.runtime.sendMessage({ action: 'CANCEL_BATCH' }));
+    });
+
+    zipBtn.addEventListener('click', async () => {
+        zipBtn.disabled = true;
+        try {
+            await downloadZip(items);
+        } catch (e) {
+            console.error('ZIP export failed:', e);
+            alert('ZIP export failed: ' + e.message);
+        }
+        zipBtn.disabled = false;
+    });
+
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action === 'BATCH_STATUS') {
+            render(message);
+        } else if (message.action === 'CAPTURE_STATUS' && message.status === 'capturing') {
+            percents[message.tabId] = message.percent;
+            render();
+        }
+    });
+
+    function render(status) {
+        if (status) {
+            items = status.items;
+            startBtn.disabled = status.running;
+            cancelBtn.hidden = !status.running;
+            zipBtn.disabled = status.running || !items.some(item => item.status === 'done');
+        }
+
+        list.innerHTML = '';
+        items.forEach((item, index) => list.appendChild(createRow(item, index)));
+
+        const done = items.filter(item => item.status === 'done').length;
+        const failed = items.filter(item => item.status === 'failed').length;
+        summary.textContent = items.length === 0 ? 'No batch yet.' :
+            `${done} of ${items.length} captured${failed ? `, ${failed} failed` : ''}`;
+    }
+
+    function createRow(item, index) {
+        const row = document.createElement('li');
+
+        const status = document.createElement('span');
+        status.className = `status ${item.status}`;
+        status.textContent = STATUS_TEXT[item.status] || item.status;
+        if (item.status === 'capturing' && percents[item.tabId] !== undefined) {
+            status.textContent += ` ${percents[item.tabId]}%`;
+        }
+
+        const page = document.createElement('div');
+        page.className = 'page';
+        page.appendChild(createLine('title', item.title || item.url));
+        page.appendChild(createLine('url', item.url));
+        if (item.error) {
+            page.appendChild(createLine('error', item.error));
+        }
+
+        row.appendChild(status);
+        row.appendChild(page);
+        if (item.status === 'failed') {
+            const retry = document.createElement('button');
+            retry.className = 'secondary';
+            retry.textContent = 'Retry';
+            retry.addEventListener('click', async () => {
+                render(await chrome.runtime.sendMessage({ action: 'RETRY_BATCH_ITEM', index }));
+            });
+            row.appendChild(retry);
+        }
+        return row;
+    }
+
+    function getSource() {
+        return document.querySelector('input[name="source"]:checked').value;
+    }
+
+    // Pick up a batch that is still running (or finished) from before this page was opened
+    chrome.runtime.sendMessage({ action: 'GET_BATCH_STATUS' }, render);
+});
+
+// One URL per line; blank lines are skipped, anything but http(s) is reported
+function parseUrls(text) {
+    const urls = [];
+    const invalid = [];
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        try {
+            const url = new URL(line);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Unsupported protocol');
+            urls.push(url.href);
+        } catch (e) {
+            invalid.push(line);
+        }
+    });
+    return { urls, invalid };
+}
+
+// Zips the finished captures (with their saved pages) and a manifest.json describing each page
+async function downloadZip(items) {
+    const { output } = await loadSettings();
+    const files = [];
+    const manifest = [];
+
+    for (const [index, item] of items.entries()) {
+        if (item.status !== 'done') continue;
+        // Deleted from the history in the meantime
+        const record = await getCapture(item.captureId);
+        if (!record) continue;
+
+        const base = `${String(index + 1).padStart(3, '0')}-${sanitizeFilename(getHostname(record.url)) || 'page'}`;
+        const captureFiles = await getCaptureFiles(record, base, output.embedMetadata);
+        files.push(...captureFiles);
+
+        manifest.push({
+            url: record.url,
+            title: record.title,
+            time: new Date(record.timestamp).toISOString(),
+            width: record.width,
+            height: record.height,
+            files: captureFiles.map(file => file.name)
+        });
+    }
+
+    files.push({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+
+    const filename = buildFilePath(`${output.folder}/batch-{date}-{time}`, { date: new Date() }, '', 'zip');
+    await saveBlob(buildZip(files), filename, output.saveAs);
+}
+
+function createLine(className, text) {
+    const div = document.createElement('div');
+    div.className = className;
+    div.textContent = text;
+    div.title = text;
+    return div;
+}
@@ -0,0 +1,201 @@
+// batch_runner.js
+// Batch captures for the background worker: every tab of a window, or a list of URLs opened one
+// after the other in a separate window. Items run through startCapture() one at a time and end up
+// in the history; the batch page (batch.html) shows their status and zips the results.
+
+// Give up on a page that has not finished loading after this long
+const PAGE_LOAD_TIMEOUT = 30000;
+
+let batch = null;
+
+/**
+ * Starts a batch unless one is running.
+ * @param {'tabs'|'urls'} source
+ * @param {string[]} [urls] Pages to capture for the 'urls' source
+ * @param {number} [windowId] Window whose tabs to capture for the 'tabs' source
+ */
+function startBatch(source, urls = [], windowId) {
+    if (batch && batch.running) {
+        return { error: 'A batch is already running.' };
+    }
+
+    batch = { source, items: [], running: false, cancelled: false, windowId: null, tabId: null, returnToTabId: null };
+
+    if (source === 'urls') {
+        batch.items = urls.map(url => ({ url, title: '', status: 'pending' }));
+        runBatch();
+        return getBatchStatus();
+    }
+
+    // Every tab of the window except the extension's own pages (the batch page among them);
+    // other pages the extension cannot capture fail with a message
+    const ownPages = chrome.runtime.getURL('');
+    chrome.tabs.query({ windowId }, (tabs) => {
+        batch.items = tabs
+            .filter(tab => !(tab.url || '').startsWith(ownPages))
+            .map(tab => ({ tabId: tab.id, url: tab.url, title: tab.title, status: 'pending' }));
+        const activeTab = tabs.find(tab => tab.active);
+        batch.returnToTabId = activeTab ? activeTab.id : null;
+        runBatch();
+    });
+    return getBatchStatus();
+}
+
+async function runBatch() {
+    batch.running = true;
+    broadcastBatch();
+
+    // Retried items go back to 'pending', so look for the next one each time
+    let item;
+    while (!batch.cancelled && (item = batch.items.find(candidate => candidate.status === 'pending'))) {
+        await captureBatchItem(item);
+    }
+
+    batch.running = false;
+    await finishBatch();
+    broadcastBatch();
+}
+
+async function captureBatchItem(item) {
+    item.status = 'capturing';
+    item.error = null;
+    broadcastBatch();
+
+    try {
+        let tabId = item.tabId;
+        if (tabId !== undefined) {
+            // captureVisibleTab only sees the active tab of a window
+            await chrome.tabs.update(tabId, { active: true });
+        } else {
+            tabId = await openInBatchWindow(item.url);
+            const tab = await chrome.tabs.get(tabId);
+            item.title = tab.title;
+        }
+        item.currentTabId = tabId;
+        broadcastBatch();
+
+        const result = await startCapture(tabId, 'full', { batch: true });
+        if (result.status === 'done') {
+            item.status = 'done';
+            item.captureId = result.id;
+        } else {
+            item.status = 'failed';
+            item.error = result.message;
+        }
+    } catch (e) {
+        console.error('Batch item failed:', item.url, e);
+        item.status = 'failed';
+        item.error = e.message;
+    }
+    item.currentTabId = null;
+    broadcastBatch();
+}
+
+// Loads `url` in the batch window, which is created on first use and kept out of the way
+async function openInBatchWindow(url) {
+    if (batch.tabId !== null) {
+        try {
+            await navigateAndWait(batch.tabId, url);
+            return batch.tabId;
+        } catch (e) {
+            // The window was closed: open a new one below
+            if (await tabExists(batch.tabId)) throw e;
+        }
+    }
+
+    const win = await chrome.windows.create({ url: 'about:blank', focused: false });
+    batch.windowId = win.id;
+    batch.tabId = win.tabs[0].id;
+    await navigateAndWait(batch.tabId, url);
+    return batch.tabId;
+}
+
+function navigateAndWait(tabId, url) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error('The page took too long to load.'));
+        }, PAGE_LOAD_TIMEOUT);
+
+        function onUpdated(id, changeInfo, tab) {
+            if (id === tabId && changeInfo.status === 'complete' && tab.url !== 'about:blank') {
+                cleanup();
+                resolve();
+            }
+        }
+
+        function cleanup() {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+        }
+
+        chrome.tabs.onUpdated.addListener(onUpdated);
+        chrome.tabs.update(tabId, { url }).catch(e => {
+            cleanup();
+            reject(e);
+        });
+    });
+}
+
+async function tabExists(tabId) {
+    try {
+        await chrome.tabs.get(tabId);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Closes the batch window, or goes back to the tab that was active before a tabs batch
+async function finishBatch() {
+    if (batch.windowId !== null) {
+        await chrome.windows.remove(batch.windowId).catch(() => {});
+        batch.windowId = null;
+        batch.tabId = null;
+    }
+    if (batch.returnToTabId !== null) {
+        await chrome.tabs.update(batch.returnToTabId, { active: true }).catch(() => {});
+    }
+}
+
+function retryBatchItem(index) {
+    const item = batch && batch.items[index];
+    if (!item || item.status !== 'failed') return;
+    item.status = 'pending';
+    batch.cancelled = false;
+    if (batch.running) {
+        broadcastBatch();
+    } else {
+        runBatch();
+    }
+}
+
+// Stops after the current item; that capture is cancelled too
+function cancelBatch() {
+    if (!batch || !batch.running) return;
+    batch.cancelled = true;
+    const current = batch.items.find(item => item.status === 'capturing');
+    if (current && current.currentTabId) {
+        requestStop(current.currentTabId, 'cancel');
+    }
+    batch.items.forEach(item => {
+        if (item.status === 'pending') {
+            item.status = 'skipped';
+        }
+    });
+}
+
+function getBatchStatus() {
+    if (!batch) return { running: false, items: [] };
+    return {
+        source: batch.source,
+        running: batch.running,
+        items: batch.items.map(({ url, title, status, error, captureId, currentTabId }) =>
+            ({ url, title, status, error, captureId, tabId: currentTabId }))
+    };
+}
+
+function broadcastBatch() {
+    // Rejects when the batch page is closed; that's fine
+    chrome.runtime.sendMessage({ action: 'BATCH_STATUS', ...getBatchStatus() }).catch(() => {});
+}
@@ -0,0 +1,223 @@
+// capture_metadata.js
+// Where a capture came from: written into downloaded images (PNG text chunks, JPEG XMP) and
+// optionally drawn as a visible band on the stitched image, for bug reports and evidence.
+// Loaded by the extension pages and by the background worker (via importScripts). Needs zip_writer.js.
+
+const SOFTWARE_NAME = 'Full Page Screenshot';
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/\0';
+const PNG_SIGNATURE_LENGTH = 8;
+
+// XMP property for each metadata entry; the rest go into our own namespace
+const XMP_PROPERTIES = {
+    'Title': 'dc:title',
+    'URL': 'dc:source',
+    'Creation Time': 'xmp:CreateDate',
+    'Software': 'xmp:CreatorTool',
+    'Viewport': 'fps:Viewport',
+    'Device Pixel Ratio': 'fps:DevicePixelRatio',
+    'Scroll Container': 'fps:ScrollContainer'
+};
+
+// Provenance band, in CSS px (scaled by the capture's devicePixelRatio)
+const BAND_HEIGHT = 40;
+const BAND_FONT_SIZE = 12;
+const BAND_PADDING = 10;
+
+/**
+ * The metadata of a capture. Records from before metadata was kept get what the record itself has.
+ * @param {Object} record History record (see finishCapture in background.js)
+ * @returns {{url: string, title: string, capturedAt: number, viewport?: {width: number, height: number},
+ *   devicePixelRatio?: number, containerSelector?: string|null}}
+ */
+function getCaptureMetadata(record) {
+    return record.metadata || {
+        url: record.url,
+        title: record.title,
+        capturedAt: record.timestamp,
+        devicePixelRatio: record.devicePixelRatio
+    };
+}
+
+/**
+ * Key/value pairs to embed, in a fixed order, without the ones that are unknown.
+ * Keys follow the PNG keyword conventions ('Title', 'Creation Time', 'Software').
+ * @returns {Array<[string, string]>}
+ */
+function metadataEntries(metadata) {
+    const entries = [
+        ['Title', metadata.title],
+        ['URL', metadata.url],
+        ['Creation Time', metadata.capturedAt ? new Date(metadata.capturedAt).toISOString() : ''],
+        ['Viewport', metadata.viewport ? `${metadata.viewport.width}x${metadata.viewport.height}` : ''],
+        ['Device Pixel Ratio', metadata.devicePixelRatio ? String(metadata.devicePixelRatio) : ''],
+        ['Scroll Container', metadata.containerSelector],
+        ['Software', SOFTWARE_NAME]
+    ];
+    return entries.filter(([, value]) => value);
+}
+
+/**
+ * Adds the capture's metadata to an encoded image: text chunks for PNG, XMP for JPEG.
+ * Other types (WebP, PDF) are returned as they are.
+ * @param {Blob} blob
+ * @param {Object} record History record
+ * @returns {Promise<Blob>}
+ */
+async function addImageMetadata(blob, record) {
+    const entries = metadataEntries(getCaptureMetadata(record));
+    if (blob.type === 'image/png') {
+        return new Blob([addPngText(new Uint8Array(await blob.arrayBuffer()), entries)], { type: blob.type });
+    }
+    if (blob.type === 'image/jpeg') {
+        return new Blob([addJpegXmp(new Uint8Array(await blob.arrayBuffer()), entries)], { type: blob.type });
+    }
+    return blob;
+}
+
+/**
+ * Inserts one text chunk per entry right after the IHDR chunk. Latin-1 text goes into tEXt,
+ * anything else into an uncompressed UTF-8 iTXt chunk.
+ * @param {Uint8Array} png
+ * @param {Array<[string, string]>} entries
+ * @returns {Uint8Array}
+ */
+function addPngText(png, entries) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const ihdrEnd = PNG_SIGNATURE_LENGTH + 12 + view.getUint32(PNG_SIGNATURE_LENGTH);
+    const chunks = entries.map(([keyword, text]) => {
+        // Control characters are not allowed in text chunks, apart from newlines
+        const value = text.replace(/[\u0000-\u0009\u000b-\u001f]/g, ' ');
+        if (/^[\u0000-\u00ff]*$/.test(value)) {
+            return pngChunk('tEXt', concatBytes([latin1Bytes(keyword), [0], latin1Bytes(value)]));
+        }
+        // Keyword, no compression, empty language tag and translated keyword
+        return pngChunk('iTXt', concatBytes([latin1Bytes(keyword), [0, 0, 0, 0, 0], new TextEncoder().encode(value)]));
+    });
+    return concatBytes([png.subarray(0, ihdrEnd), ...chunks, png.subarray(ihdrEnd)]);
+}
+
+function pngChunk(type, data) {
+    const typeAndData = concatBytes([latin1Bytes(type), data]);
+    const chunk = new Uint8Array(typeAndData.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeAndData, 4);
+    view.setUint32(chunk.length - 4, crc32(typeAndData));
+    return chunk;
+}
+
+/**
+ * Inserts an XMP packet (APP1 segment) after the start of image marker, and after the JFIF
+ * header if there is one (it has to come first).
+ * @param {Uint8Array} jpeg
+ * @param {Array<[string, string]>} entries
+ * @returns {Uint8Array}
+ */
+function addJpegXmp(jpeg, entries) {
+    let insertAt = 2; // After SOI
+    if (jpeg[2] === 0xFF && jpeg[3] === 0xE0) {
+        insertAt += 2 + ((jpeg[4] << 8) | jpeg[5]);
+    }
+    const payload = concatBytes([latin1Bytes(XMP_NAMESPACE), new TextEncoder().encode(buildXmpPacket(entries))]);
+    const header = [0xFF, 0xE1, ((payload.length + 2) >> 8) & 0xFF, (payload.length + 2) & 0xFF];
+    return concatBytes([jpeg.subarray(0, insertAt), header, payload, jpeg.subarray(insertAt)]);
+}
+
+function buildXmpPacket(entries) {
+    const properties = entries.map(([key, value]) => {
+        const name = XMP_PROPERTIES[key];
+        if (name === 'dc:title') {
+            return `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt></dc:title>`;
+        }
+        return `<${name}>${escapeXml(value)}</${name}>`;
+    });
+    return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+        '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+        'xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:fps="urn:full-page-screenshot:capture:1.0#">' +
+        properties.join('') +
+        '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+}
+
+function escapeXml(value) {
+    return value.replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+function latin1Bytes(str) {
+    return Uint8Array.from(str, c => c.charCodeAt(0) & 0xFF);
+}
+
+function concatBytes(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        output.set(part, position);
+        position += part.length;
+    });
+    return output;
+}
+
+// Height of the provenance band in image pixels
+function getBandHeight(scale) {
+    return Math.round(BAND_HEIGHT * scale);
+}
+
+/**
+ * Draws the provenance band (URL, then capture time and viewport) across the image at row `y`.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} y Top of the band in canvas pixels
+ * @param {number} width Canvas width
+ * @param {number} scale Image pixels per CSS pixel
+ * @param {Object} metadata From getCaptureMetadata()
+ */
+function drawProvenanceBand(ctx, y, width, scale, metadata) {
+    const height = getBandHeight(scale);
+    const padding = BAND_PADDING * scale;
+    const maxTextWidth = width - padding * 2;
+
+    ctx.save();
+    ctx.fillStyle = '#f1f3f4';
+    ctx.fillRect(0, y, width, height);
+    ctx.fillStyle = '#dadce0';
+    ctx.fillRect(0, y, width, Math.max(1, Math.round(scale)));
+
+    ctx.font = `${BAND_FONT_SIZE * scale}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#202124';
+    ctx.fillText(fitText(ctx, metadata.url || '', maxTextWidth), padding, y + height * 0.3);
+
+    const details = [`Captured ${new Date(metadata.capturedAt).toISOString().replace('T', ' ').slice(0, 19)} UTC`];
+    if (metadata.viewport) {
+        details.push(`viewport ${metadata.viewport.width}×${metadata.viewport.height} @${metadata.devicePixelRatio}x`);
+    }
+    ctx.fillStyle = '#5f6368';
+    ctx.fillText(fitText(ctx, details.join(' · '), maxTextWidth), padding, y + height * 0.72);
+    ctx.restore();
+}
+
+// Shortens `text` with an ellipsis until it fits in `maxWidth`
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (ctx.measureText(text.slice(0, mid) + '…').width <= maxWidth) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return text.slice(0, low) + '…';
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getCaptureMetadata,
+        metadataEntries,
+        addPngText,
+        addJpegXmp,
+        fitText
+    };
+}
@@ -5,24 +5,88 @@ if (window.hasRun) {
 } else {
     window.hasRun = true;
 
-    let originalStyles = new Map();
+    let originalStyles = new Map(); // Inline styles to put back on restore
+    let fixedElements = []; // { el, sticky, anchor } for every fixed/sticky element
+    let fixedPolicy = 'hide';
+    let redactions = []; // Undo records for masked text nodes and elements
+    let redactedElements = new WeakSet(); // Elements masked by a style change, masked only once
+    let liveRedaction = null; // { observer, patterns } masking content added during the capture, see startRedaction()
+    let settleOptions = { minWait: 150, maxWait: 3000, quietPeriod: 200 };
+    let scrollOptions = {}; // Scroll container thresholds and remembered selector, see resolveScrollContainer()
+    let chosenContainer = null; // Scroll container the user picked for this capture
+    let originalScrollX = 0;
     let originalScrollY = 0;
     let scrollContainer = null; // The element we are scrolling
+    let eagerImages = []; // Lazy images switched to eager loading by preloadPage(), put back on restore
+    let clipboardParts = []; // Image bytes received for COPY_IMAGE, see receiveImagePart()
     let progressBarContainer = null;
     let progressBarFill = null;
 
+    // Region selection: auto-scroll when dragging this close to the top/bottom edge
+    const AUTO_SCROLL_EDGE = 40;
+    const AUTO_SCROLL_MAX_SPEED = 25; // px per frame
+
+    // Lazy-load pre-pass: give up on pages that never stop loading after this long
+    const PRELOAD_TIMEOUT = 30000;
+
+    // Text layer for the saved page: stop collecting after this many runs
+    const MAX_TEXT_RUNS = 50000;
+
+    // Capture modes that capture a selection rather than the page from its top
+    const REGION_MODES = ['element', 'region'];
+
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.scroll) {
+            scrollOptions = message.scroll;
+        }
+
         if (message.action === 'INIT_CAPTURE') {
-            initCapture().then(metrics => sendResponse(metrics));
+            initCapture(message).then(metrics => sendResponse(metrics));
             return true; // async response
         } else if (message.action === 'SCROLL_TO') {
-            scrollToAndReady(message.y).then((actualY) => sendResponse({ status: 'scrolled', actualY }));
+            applyFixedPolicy(message);
+            scrollToAndReady(message.x || 0, message.y).then(({ actualX, actualY, timings, fullHeight }) =>
+                sendResponse({ status: 'scrolled', actualX, actualY, timings, fullHeight }));
+            return true;
+        } else if (message.action === 'PRELOAD') {
+            preloadPage(message.maxHeight).then(metrics => sendResponse(metrics));
+            return true;
+        } else if (message.action === 'DESCRIBE_FRAME') {
+            sendResponse(describeFrame(scrollOptions));
+        } else if (message.action === 'COLLECT_TEXT') {
+            sendResponse(collectTextLayer());
+        } else if (message.action === 'REDACT') {
+            // Frames shown in the capture but not scrolled by it
+            startRedaction(message.redaction);
+            sendResponse({ status: 'redacted' });
+        } else if (message.action === 'UNDO_REDACTION') {
+            stopRedaction();
+            sendResponse({ status: 'restored' });
+        } else if (message.action === 'HIDE_PROGRESS') {
+            removeProgressBar();
+            sendResponse({ status: 'hidden' });
+        } else if (message.action === 'CHOOSE_CONTAINER') {
+            askForScrollContainer(scrollOptions).then(selector => sendResponse({ selector }));
+            return true;
+        } else if (message.action === 'PICK_ELEMENT') {
+            pickElement(message.srcUrl).then(region => sendResponse({ region }));
+            return true;
+        } else if (message.action === 'SELECT_REGION') {
+            selectRegion().then(region => sendResponse({ region }));
             return true;
         } else if (message.action === 'UPDATE_PROGRESS') {
             updateProgressBar(message.percent);
             sendResponse({ status: 'updated' });
+        } else if (message.action === 'COPY_IMAGE_PART') {
+            receiveImagePart(message.part, message.dataUrl);
+            sendResponse({ status: 'received' });
+        } else if (message.action === 'COPY_IMAGE') {
+            copyImage(message.type).then(
+                () => sendResponse({ status: 'copied' }),
+                (e) => sendResponse({ error: e.message }));
+            return true;
         } else if (message.action === 'RESTORE') {
-            restorePage(message.originalScrollY);
+            restorePage(message.originalScrollX || 0, message.originalScrollY);
             sendResponse({ status: 'restored' });
         }
     });
@@ -55,6 +119,8 @@ if (window.hasRun) {
 
         progressBarContainer.appendChild(progressBarFill);
         document.body.appendChild(progressBarContainer);
+        // Escape cancels here too when a frame is captured: the top frame is where the user is
+        document.addEventListener('keydown', onCaptureKeyDown, true);
     }
 
     function updateProgressBar(percent) {
@@ -69,53 +135,63 @@ if (window.hasRun) {
             progressBarContainer.remove();
             progressBarContainer = null;
             progressBarFill = null;
+            document.removeEventListener('keydown', onCaptureKeyDown, true);
         }
     }
 
     // --- Core Logic ---
 
-    function findScrollableElement() {
-        // Helper to check if element is scrollable
-        function isScrollable(el) {
-            const style = window.getComputedStyle(el);
-            const hasScrollableOverflow = ['auto', 'scroll', 'overlay'].includes(style.overflowY);
-            return hasScrollableOverflow && el.scrollHeight > el.clientHeight;
-        }
-
-        // Helper to check if element is strictly visible
-        function isVisible(el) {
-            if (!el) return false;
-            const style = window.getComputedStyle(el);
-            if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return false;
+    // Is this element a scroll container with something to scroll?
+    function isScrollable(el) {
+        const style = window.getComputedStyle(el);
+        const hasScrollableOverflow = ['auto', 'scroll', 'overlay'].includes(style.overflowY);
+        return hasScrollableOverflow && el.scrollHeight > el.clientHeight;
+    }
 
-            const rect = el.getBoundingClientRect();
-            if (rect.width === 0 || rect.height === 0) return false;
+    // Is this element rendered and at least partly inside the viewport?
+    function isVisible(el) {
+        if (!el) return false;
+        const style = window.getComputedStyle(el);
+        if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return false;
 
-            // Check if it's actually within the viewport
-            if (rect.top >= window.innerHeight || rect.bottom <= 0 || rect.left >= window.innerWidth || rect.right <= 0) {
-                return false;
-            }
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return false;
 
-            // Optional: Check if it's covered? (Too expensive to check every point)
-            return true;
+        // Check if it's actually within the viewport
+        if (rect.top >= window.innerHeight || rect.bottom <= 0 || rect.left >= window.innerWidth || rect.right <= 0) {
+            return false;
         }
 
+        // Optional: Check if it's covered? (Too expensive to check every point)
+        return true;
+    }
+
+    // All elements the page content might scroll in, most content first: visible scrollable elements
+    // that cover at least `minWidthRatio` x `minHeightRatio` of the viewport, plus the document itself.
+    function findScrollCandidates({ minWidthRatio = 0.5, minHeightRatio = 0.5 } = {}) {
         // 1. Collect all potential candidates
         const candidates = Array.from(document.querySelectorAll('*')).filter(el => {
             // Filter out small elements to optimize
-            if (el.clientWidth < window.innerWidth * 0.5 || el.clientHeight < window.innerHeight * 0.5) return false;
+            if (el.clientWidth < window.innerWidth * minWidthRatio || el.clientHeight < window.innerHeight * minHeightRatio) return false;
 
             // CRITICAL: Must be visible and scrollable
             return isVisible(el) && isScrollable(el);
         });
 
         // Add document.scrollingElement (html/body) to candidates if it scrolls
-        if (document.scrollingElement && document.scrollingElement.scrollHeight > document.scrollingElement.clientHeight) {
+        if (document.scrollingElement && document.scrollingElement.scrollHeight > document.scrollingElement.clientHeight &&
+            !candidates.includes(document.scrollingElement)) {
             candidates.push(document.scrollingElement);
         }
 
         // 2. Sort by scrollHeight (descending)
         candidates.sort((a, b) => b.scrollHeight - a.scrollHeight);
+        return candidates;
+    }
+
+    // Picks the element the page content scrolls in: the candidate with the most content, else the document
+    function findScrollableElement(options = {}) {
+        const candidates = findScrollCandidates(options);
 
         // 3. Pick the best one
         if (candidates.length > 0) {
@@ -131,19 +207,264 @@ if (window.hasRun) {
         return document.documentElement;
     }
 
-    async function initCapture() {
-        // Find the scroll container
-        scrollContainer = findScrollableElement();
+    // The container chosen on the page for this capture, else the one remembered for the site
+    // (`options.selector`), else the heuristic. A remembered selector that no longer finds
+    // a scrollable element is ignored.
+    function resolveScrollContainer(options = {}) {
+        if (chosenContainer && chosenContainer.isConnected) {
+            return chosenContainer;
+        }
+        const remembered = findBySelector(options.selector);
+        if (remembered) {
+            console.log('Using remembered scroll container:', options.selector);
+            return remembered;
+        }
+        return findScrollableElement(options);
+    }
+
+    function findBySelector(selector) {
+        if (!selector) return null;
+        let el = null;
+        try {
+            el = document.querySelector(selector);
+        } catch (e) {
+            console.warn('Ignoring invalid scroll container selector:', selector);
+            return null;
+        }
+        if (!el) return null;
+        if (el === document.documentElement || el === document.body) return document.scrollingElement || document.documentElement;
+        return isScrollable(el) && isVisible(el) ? el : null;
+    }
+
+    // Builds a selector that should find `el` again on a later visit. Prefers ids and test attributes,
+    // skips class names that look generated. Returns null if no unique selector is found.
+    function getStableSelector(el) {
+        if (el === document.documentElement || el === document.body || el === document.scrollingElement) {
+            return 'html';
+        }
+
+        const parts = [];
+        for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+            parts.unshift(describeNode(node));
+            const selector = parts.join(' > ');
+            const matches = document.querySelectorAll(selector);
+            if (matches.length === 1 && matches[0] === el) {
+                return selector;
+            }
+        }
+        return null;
+    }
+
+    function describeNode(node) {
+        if (node.id && isStableName(node.id)) {
+            return '#' + escapeSelector(node.id);
+        }
+        for (const attr of ['data-testid', 'data-test', 'data-qa']) {
+            const value = node.getAttribute(attr);
+            if (value) return `[${attr}="${value.replace(/"/g, '\\"')}"]`;
+        }
+
+        const classes = Array.from(node.classList).filter(isStableName).slice(0, 2);
+        let selector = node.tagName.toLowerCase() + classes.map(name => '.' + escapeSelector(name)).join('');
+
+        // Tell apart siblings that look the same
+        const parent = node.parentElement;
+        if (parent) {
+            const twins = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+            if (twins.length > 1) {
+                selector += `:nth-of-type(${twins.indexOf(node) + 1})`;
+            }
+        }
+        return selector;
+    }
+
+    // Generated names (css-1q2w3e, sc-abc123, ember1234) change between builds or visits
+    function isStableName(name) {
+        return /^[A-Za-z][\w-]*$/.test(name) && name.length <= 40 && !/\d{3,}/.test(name) &&
+            !/^(css|sc|jsx|emotion|svelte)-/.test(name);
+    }
+
+    function escapeSelector(value) {
+        return window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/[^\w-]/g, '\\$&');
+    }
+
+    // Lets the user pick one of several scroll containers: every candidate gets a numbered overlay.
+    // Click one, or cycle with Tab and confirm with Enter. Esc keeps the heuristic's choice.
+    // Resolves with the chosen element, or null.
+    function chooseScrollContainer(candidates) {
+        return new Promise((resolve) => {
+            const hint = createHint('This page has several scrolling areas. Click the one to capture, ' +
+                'or press Tab to cycle and Enter to confirm. Esc skips the choice and uses the automatic pick.');
+            let active = 0;
+
+            // Largest first, so smaller (nested) areas are on top and stay clickable
+            const order = candidates.map((el, index) => ({ el, index, rect: el.getBoundingClientRect() }))
+                .sort((a, b) => b.rect.width * b.rect.height - a.rect.width * a.rect.height);
+            const boxes = [];
+            order.forEach(({ el, index, rect }) => {
+                const box = document.createElement('div');
+                box.id = `fps-extension-container-${index}`;
+                const top = Math.max(0, rect.top);
+                const left = Math.max(0, rect.left);
+                box.style.cssText = `
+      position: fixed;
+      left: ${left}px;
+      top: ${top}px;
+      width: ${Math.min(window.innerWidth, rect.right) - left}px;
+      height: ${Math.min(window.innerHeight, rect.bottom) - top}px;
+      box-sizing: border-box;
+      cursor: pointer;
+      z-index: 2147483646;
+      font: bold 14px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      color: #fff;
+    `;
+                const label = document.createElement('span');
+                label.textContent = `${index + 1}`;
+                label.style.cssText = `
+      position: absolute;
+      top: 6px;
+      left: 6px;
+      padding: 2px 8px;
+      border-radius: 3px;
+    `;
+                box.appendChild(label);
+                box.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    finish(el);
+                });
+                box.addEventListener('mouseenter', () => {
+                    active = index;
+                    render();
+                });
+                document.body.appendChild(box);
+                boxes[index] = { box, label };
+            });
+
+            function render() {
+                boxes.forEach(({ box, label }, index) => {
+                    const isActive = index === active;
+                    box.style.border = isActive ? '3px solid #4285f4' : '2px dashed rgba(66, 133, 244, 0.6)';
+                    box.style.backgroundColor = isActive ? 'rgba(66, 133, 244, 0.15)' : 'transparent';
+                    label.style.backgroundColor = isActive ? '#4285f4' : 'rgba(0, 0, 0, 0.6)';
+                });
+            }
+
+            function onKeyDown(e) {
+                if (e.key === 'Tab') {
+                    e.preventDefault();
+                    active = (active + (e.shiftKey ? candidates.length - 1 : 1)) % candidates.length;
+                    render();
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    finish(candidates[active]);
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(null);
+                }
+            }
+
+            function finish(el) {
+                document.removeEventListener('keydown', onKeyDown, true);
+                boxes.forEach(({ box }) => box.remove());
+                hint.remove();
+                resolve(el);
+            }
+
+            render();
+            document.addEventListener('keydown', onKeyDown, true);
+        });
+    }
+
+    // What the background worker needs to pick the frame a full-page capture scrolls (this script
+    // runs in every frame): whether this frame's content scrolls and where its viewport sits in the
+    // tab. `rect` is null when a cross-origin parent frame hides the position. The top frame also
+    // reports whether a large frame it cannot look into (another origin) covers the page.
+    function describeFrame(options = {}) {
+        const container = resolveScrollContainer(options);
+        const offset = getFrameOffset();
+        return {
+            scrolls: container.scrollHeight > container.clientHeight,
+            rect: offset && { x: offset.x, y: offset.y, width: window.innerWidth, height: window.innerHeight },
+            crossOriginFrame: window === window.top && hasLargeCrossOriginFrame(options)
+        };
+    }
+
+    // Where this frame's viewport sits in the top window's viewport, following frameElement up
+    // through the parent frames. Null if a parent is cross-origin (frameElement is null there).
+    function getFrameOffset() {
+        let x = 0;
+        let y = 0;
+        for (let win = window; win !== win.top; win = win.parent) {
+            const frame = win.frameElement;
+            if (!frame) return null;
+            const rect = frame.getBoundingClientRect();
+            const style = frame.ownerDocument.defaultView.getComputedStyle(frame);
+            x += rect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0);
+            y += rect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0);
+        }
+        return { x, y };
+    }
+
+    function hasLargeCrossOriginFrame({ minWidthRatio = 0.5, minHeightRatio = 0.5 } = {}) {
+        return Array.from(document.querySelectorAll('iframe, frame')).some(frame => {
+            const rect = frame.getBoundingClientRect();
+            return rect.width >= window.innerWidth * minWidthRatio &&
+                rect.height >= window.innerHeight * minHeightRatio &&
+                isVisible(frame) &&
+                !frame.contentDocument;
+        });
+    }
+
+    // Full-page captures on pages with several scroll containers: ask the user unless the site
+    // already has a remembered container. Resolves with a selector to remember, or null.
+    async function askForScrollContainer(options) {
+        if (findBySelector(options.selector)) return null;
+
+        const candidates = findScrollCandidates(options);
+        if (candidates.length < 2) return null;
+
+        const chosen = await chooseScrollContainer(candidates);
+        if (!chosen) return null;
+        chosenContainer = chosen;
+        return getStableSelector(chosen);
+    }
+
+    async function initCapture(options = {}) {
+        // Find the scroll container. A container picked on the page is used up here, so one left
+        // from a capture that never started cannot leak into the next.
+        scrollContainer = resolveScrollContainer(scrollOptions);
+        chosenContainer = null;
 
         // Save original scroll position
-        originalScrollY = scrollContainer === document.documentElement ? window.scrollY : scrollContainer.scrollTop;
+        const original = getScrollPosition();
+        originalScrollX = original.x;
+        originalScrollY = original.y;
 
-        // Create progress bar
-        createProgressBar();
+        // Create progress bar (in the top frame: inside a frame it would end up in the capture)
+        if (window === window.top) {
+            createProgressBar();
+        }
 
-        // Hide fixed/sticky elements
+        // Escape cancels the capture
+        document.addEventListener('keydown', onCaptureKeyDown, true);
+
+        // Remove overlays for good, hide fixed/sticky elements until the first scroll step
+        const fixedOptions = options.fixedElements || {};
+        removeElements(fixedOptions.removeSelectors || []);
+        // A selection starts wherever the user put it: a header shown there would cover its top
+        fixedPolicy = REGION_MODES.includes(options.mode) ? 'hide' : fixedOptions.policy || 'hide';
         hideFixedElements();
 
+        if (options.settle) {
+            settleOptions = options.settle;
+        }
+
+        // Mask sensitive text for the duration of the capture
+        if (options.redaction && options.redaction.enabled) {
+            startRedaction(options.redaction);
+        }
+
         // Hide scrollbars
         document.documentElement.style.overflow = 'hidden';
         if (scrollContainer !== document.documentElement) {
@@ -154,7 +475,9 @@ if (window.hasRun) {
         }
 
         // Get metrics
+        const fullWidth = scrollContainer.scrollWidth;
         const fullHeight = scrollContainer.scrollHeight;
+        const visibleWidth = scrollContainer.clientWidth; // Viewport width of the container
         const visibleHeight = scrollContainer.clientHeight; // Viewport height of the container
 
         // Note: captureVisibleTab captures the *window* viewport.
@@ -164,55 +487,847 @@ if (window.hasRun) {
         // Usually this implies the main content area.
         // If the container is the main scroller, it usually fills the screen.
 
+        // Where the container's visible area starts within the viewport
+        let containerOffset = { x: 0, y: 0 };
+        if (scrollContainer !== document.documentElement) {
+            const rect = scrollContainer.getBoundingClientRect();
+            containerOffset = { x: Math.max(0, rect.left), y: Math.max(0, rect.top) };
+        }
+
         return {
+            containerOffset: containerOffset,
+            frameOffset: getFrameOffset() || { x: 0, y: 0 },
+            fullWidth: fullWidth,
             fullHeight: fullHeight,
-            visibleHeight: visibleHeight, // This is used for stepping
+            visibleWidth: visibleWidth, // These are used for stepping
+            visibleHeight: visibleHeight,
+            viewportWidth: window.innerWidth, // Width of a captured tile
+            viewportHeight: window.innerHeight,
             devicePixelRatio: window.devicePixelRatio,
+            containerSelector: getStableSelector(scrollContainer),
+            originalScrollX: originalScrollX,
             originalScrollY: originalScrollY
         };
     }
 
+    // Remembers an element's inline styles once, before the capture first touches them
+    function saveStyle(el) {
+        if (!originalStyles.has(el)) {
+            originalStyles.set(el, {
+                visibility: el.style.visibility,
+                position: el.style.position,
+                display: el.style.display
+            });
+        }
+    }
+
+    function removeElements(selectors) {
+        selectors.forEach(selector => {
+            let matches = [];
+            try {
+                matches = document.querySelectorAll(selector);
+            } catch (e) {
+                console.warn('Ignoring invalid selector:', selector);
+            }
+            matches.forEach(el => {
+                saveStyle(el);
+                el.style.display = 'none';
+            });
+        });
+    }
+
     function hideFixedElements() {
+        fixedElements = [];
         const allElements = document.querySelectorAll('*');
         allElements.forEach(el => {
             if (el.id === 'fps-extension-progress-bar') return;
 
             const style = window.getComputedStyle(el);
             if (style.position === 'fixed' || style.position === 'sticky') {
-                originalStyles.set(el, {
-                    visibility: el.style.visibility,
-                    position: el.style.position
-                });
+                // Elements in the lower half of the viewport count as footers
+                const rect = el.getBoundingClientRect();
+                const anchor = rect.top + rect.height / 2 > window.innerHeight / 2 ? 'bottom' : 'top';
+                fixedElements.push({ el, sticky: style.position === 'sticky', anchor });
+
+                saveStyle(el);
                 el.style.visibility = 'hidden';
             }
         });
+
+        // Sticky elements scroll with the content once they are no longer sticky,
+        // so they end up in the image exactly once, where they sit in the document
+        if (fixedPolicy === 'natural') {
+            fixedElements.forEach(({ el, sticky }) => {
+                if (sticky) {
+                    el.style.position = 'relative';
+                    el.style.visibility = originalStyles.get(el).visibility;
+                }
+            });
+        }
+    }
+
+    // Shows fixed/sticky elements only where the policy wants them in the stitched image, so they
+    // appear once and only at the page's own top and bottom:
+    // 'hide'    - nowhere
+    // 'first'   - on the tile at the top of the page, in the first column
+    // 'natural' - headers there, footers on the first tile of the last row (sticky ones are always in flow)
+    // atPageTop: the tile is scrolled to the top of the page. lastRow: nothing is captured below it.
+    function applyFixedPolicy({ atPageTop, lastRow, firstColumn }) {
+        fixedElements.forEach(({ el, sticky, anchor }) => {
+            let visible = false;
+            if (fixedPolicy === 'first') {
+                visible = atPageTop && firstColumn;
+            } else if (fixedPolicy === 'natural') {
+                visible = sticky || (firstColumn && (anchor === 'bottom' ? lastRow : atPageTop));
+            }
+            el.style.visibility = visible ? originalStyles.get(el).visibility : 'hidden';
+        });
+    }
+
+    // --- Redaction ---
+
+    // Built-in patterns for sensitive text. Credit card candidates are confirmed with a Luhn check.
+    const REDACTION_PATTERNS = {
+        emails: [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi],
+        creditCards: [/\b(?:\d[ -]?){12,18}\d\b/g],
+        apiKeys: [
+            /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g, // Stripe
+            /\bAKIA[0-9A-Z]{16}\b/g, // AWS access key id
+            /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, // GitHub
+            /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g, // Slack
+            /\bAIza[0-9A-Za-z_-]{35}\b/g, // Google
+            /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g, // JWT
+            /\b(?=[A-Za-z_-]*\d)(?=[0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\b/g // Long mixed token
+        ]
+    };
+
+    const REDACT_ATTRIBUTE = 'data-screenshot-redact';
+
+    function buildRedactionPatterns(config) {
+        const patterns = [];
+        ['emails', 'creditCards', 'apiKeys'].forEach(name => {
+            if (config[name]) {
+                REDACTION_PATTERNS[name].forEach(regex => patterns.push({ name, regex }));
+            }
+        });
+        (config.customPatterns || []).forEach(source => {
+            try {
+                patterns.push({ name: 'custom', regex: new RegExp(source, 'g') });
+            } catch (e) {
+                console.warn('Ignoring invalid redaction pattern:', source);
+            }
+        });
+        return patterns;
+    }
+
+    // Returns the sorted, non-overlapping [start, end) ranges of `text` matching any pattern
+    function findSensitiveRanges(text, patterns) {
+        const ranges = [];
+        patterns.forEach(({ name, regex }) => {
+            regex.lastIndex = 0;
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    regex.lastIndex++;
+                    continue;
+                }
+                if (name === 'creditCards' && !passesLuhn(match[0])) continue;
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        });
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        ranges.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range.slice());
+            }
+        });
+        return merged;
+    }
+
+    function passesLuhn(value) {
+        const digits = value.replace(/\D/g, '');
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i], 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    function isOwnUi(el) {
+        return Boolean(el && el.closest && el.closest('[id^="fps-extension"]'));
+    }
+
+    function redactPage(config) {
+        redactTree(document.body, buildRedactionPatterns(config));
+    }
+
+    // Masks what is sensitive in `root` and below (an element or a text node). Nodes masked
+    // before are skipped, so a subtree can be passed again when the page moves it.
+    function redactTree(root, patterns) {
+        if (!root) return;
+        if (root.nodeType === Node.TEXT_NODE) {
+            if (acceptsRedaction(root)) redactTextNode(root, patterns);
+            return;
+        }
+        if (root.nodeType !== Node.ELEMENT_NODE || isOwnUi(root)) return;
+
+        // 1. Elements explicitly marked by the page: paint them as a solid block
+        const marked = Array.from(root.querySelectorAll(`[${REDACT_ATTRIBUTE}]`));
+        if (root.matches(`[${REDACT_ATTRIBUTE}]`)) marked.unshift(root);
+        marked.forEach(el => {
+            if (redactedElements.has(el)) return;
+            redactedElements.add(el);
+            redactions.push({ type: 'element', el, filter: el.style.filter, backgroundColor: el.style.backgroundColor });
+            el.style.filter = 'brightness(0)';
+            el.style.backgroundColor = '#000';
+        });
+
+        if (patterns.length === 0) return;
+
+        // 2. Text nodes: wrap each match in a masking span
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                return acceptsRedaction(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+            }
+        });
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+        textNodes.forEach(node => redactTextNode(node, patterns));
+
+        // 3. Form fields: hide the value text behind a black background
+        const fields = Array.from(root.querySelectorAll('input, textarea'));
+        if (root.matches('input, textarea')) fields.unshift(root);
+        fields.forEach(el => {
+            if (el.type === 'password' || !el.value || redactedElements.has(el)) return;
+            if (findSensitiveRanges(el.value, patterns).length === 0) return;
+            redactedElements.add(el);
+            redactions.push({ type: 'element', el, color: el.style.color, backgroundColor: el.style.backgroundColor });
+            el.style.color = 'transparent';
+            el.style.backgroundColor = '#000';
+        });
+    }
+
+    // Text in scripts, our own UI and existing masks is left alone
+    function acceptsRedaction(node) {
+        const parent = node.parentElement;
+        return Boolean(parent) && !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA'].includes(parent.tagName) &&
+            !isOwnUi(parent) && !parent.closest('.fps-extension-redacted');
+    }
+
+    function redactTextNode(node, patterns) {
+        const ranges = findSensitiveRanges(node.nodeValue, patterns);
+        if (ranges.length > 0) {
+            maskTextNode(node, ranges);
+        }
+    }
+
+    // Masks the page now and keeps masking what is added or changed while the capture runs:
+    // content loaded by the lazy-load pre-pass, infinite feeds and virtualized lists
+    function startRedaction(config) {
+        stopRedaction();
+        const patterns = buildRedactionPatterns(config);
+        redactTree(document.body, patterns);
+        const observer = new MutationObserver(records => redactMutations(records, patterns));
+        observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+        liveRedaction = { observer, patterns };
+    }
+
+    // Masks changes the observer has not reported yet, so none reach the next tile
+    function flushRedaction() {
+        if (liveRedaction) {
+            redactMutations(liveRedaction.observer.takeRecords(), liveRedaction.patterns);
+        }
+    }
+
+    function redactMutations(records, patterns) {
+        records.forEach(record => {
+            const nodes = record.type === 'characterData' ? [record.target] : Array.from(record.addedNodes);
+            nodes.forEach(node => {
+                if (node.isConnected) redactTree(node, patterns);
+            });
+        });
+    }
+
+    // Stops masking new content and puts the page back
+    function stopRedaction() {
+        if (liveRedaction) {
+            liveRedaction.observer.disconnect();
+            liveRedaction = null;
+        }
+        undoRedactions();
+    }
+
+    function maskTextNode(node, ranges) {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        const replacements = [];
+        let position = 0;
+
+        ranges.forEach(([start, end]) => {
+            if (start > position) {
+                replacements.push(document.createTextNode(text.slice(position, start)));
+            }
+            const mask = document.createElement('span');
+            mask.className = 'fps-extension-redacted';
+            mask.textContent = text.slice(start, end);
+            mask.style.cssText = 'background-color: #000; color: transparent; border-radius: 2px;';
+            replacements.push(mask);
+            position = end;
+        });
+        if (position < text.length) {
+            replacements.push(document.createTextNode(text.slice(position)));
+        }
+
+        replacements.forEach(part => fragment.appendChild(part));
+        node.parentNode.replaceChild(fragment, node);
+        redactions.push({ type: 'text', original: node, replacements });
+    }
+
+    function undoRedactions() {
+        // Undo in reverse order so nested changes unwind cleanly
+        redactions.reverse().forEach(record => {
+            if (record.type === 'text') {
+                const first = record.replacements[0];
+                if (first.parentNode) {
+                    first.parentNode.insertBefore(record.original, first);
+                }
+                record.replacements.forEach(part => part.remove());
+            } else {
+                ['filter', 'color', 'backgroundColor'].forEach(prop => {
+                    if (prop in record) record.el.style[prop] = record[prop];
+                });
+            }
+        });
+        redactions = [];
+        redactedElements = new WeakSet();
+    }
+
+    async function scrollToAndReady(x, y) {
+        scrollToPosition(x, y);
+
+        // Wait for layout/rendering to settle
+        const timings = await waitForSettle(settleOptions);
+        flushRedaction();
+
+        // Return actual scroll position, and the height in case the page grew (lazy loading)
+        const actual = getScrollPosition();
+        return { actualX: actual.x, actualY: actual.y, timings, fullHeight: scrollContainer.scrollHeight };
     }
 
-    async function scrollToAndReady(y) {
+    // Scrolls through the page once so lazy loaders and infinite feeds fetch their content
+    // before the real capture. Stops at the bottom, once the page is `maxHeight` tall
+    // (0 = no limit) or after PRELOAD_TIMEOUT.
+    async function preloadPage(maxHeight) {
+        document.querySelectorAll('img[loading="lazy"]').forEach(img => {
+            eagerImages.push(img);
+            img.setAttribute('loading', 'eager');
+        });
+
+        const x = getScrollPosition().x;
+        const step = scrollContainer.clientHeight;
+        const deadline = Date.now() + PRELOAD_TIMEOUT;
+        let y = 0;
+
+        while (Date.now() < deadline) {
+            scrollToPosition(x, y);
+            await waitForSettle(settleOptions);
+
+            const height = scrollContainer.scrollHeight;
+            const reached = getScrollPosition().y + step;
+            if (reached >= height || (maxHeight > 0 && reached >= maxHeight)) break;
+            y += step;
+        }
+
+        scrollToPosition(x, 0);
+        flushRedaction();
+        return { fullWidth: scrollContainer.scrollWidth, fullHeight: scrollContainer.scrollHeight };
+    }
+
+    // --- Settle Detection ---
+
+    // Waits until the freshly scrolled-to content is ready to be captured:
+    // visible images loaded and decoded, finite animations/transitions finished,
+    // web fonts loaded, then a quiet period without DOM mutations or layout shifts.
+    // Never waits less than `minWait` or (in total) more than `maxWait` ms.
+    // Returns how long each phase took, so slow steps can be diagnosed.
+    async function waitForSettle({ minWait, maxWait, quietPeriod }) {
+        const start = performance.now();
+        const deadline = start + maxWait;
+        const timings = {};
+        // Whether a phase gave up. Not read off the clock: timers can fire a fraction of a
+        // millisecond before performance.now() reaches the deadline.
+        let timedOut = false;
+
+        // A phase that resolves with false gave up waiting
+        async function phase(name, waitFn) {
+            const phaseStart = performance.now();
+            const remaining = deadline - phaseStart;
+            if (remaining > 0) {
+                const finished = await Promise.race([
+                    waitFn(remaining).then(result => result !== false),
+                    wait(remaining).then(() => false)
+                ]);
+                timedOut = timedOut || !finished;
+            } else {
+                timedOut = true;
+            }
+            timings[name] = Math.round(performance.now() - phaseStart);
+        }
+
+        await phase('images', waitForVisibleImages);
+        await phase('animations', waitForAnimations);
+        await phase('fonts', () => (document.fonts ? document.fonts.ready : Promise.resolve()));
+        await phase('quiet', (remaining) => waitForQuiet(quietPeriod, remaining));
+
+        const elapsed = performance.now() - start;
+        if (elapsed < minWait) {
+            await wait(minWait - elapsed);
+        }
+
+        timings.total = Math.round(performance.now() - start);
+        timings.timedOut = timedOut;
+        return timings;
+    }
+
+    function waitForVisibleImages() {
+        const pending = Array.from(document.images).filter(img => {
+            const rect = img.getBoundingClientRect();
+            return rect.bottom > 0 && rect.top < window.innerHeight && rect.width > 0 && rect.height > 0;
+        }).map(img => {
+            if (!img.complete) {
+                return new Promise(resolve => {
+                    img.addEventListener('load', resolve, { once: true });
+                    img.addEventListener('error', resolve, { once: true });
+                });
+            }
+            // Loaded but maybe not decoded yet (would paint blank in the capture)
+            return img.decode ? img.decode().catch(() => {}) : Promise.resolve();
+        });
+        return Promise.all(pending);
+    }
+
+    function waitForAnimations() {
+        if (!document.getAnimations) return Promise.resolve();
+        // Infinite animations (spinners, marquees) never finish: don't wait for them
+        const finite = document.getAnimations().filter(animation =>
+            animation.playState === 'running' &&
+            animation.effect &&
+            Number.isFinite(animation.effect.getComputedTiming().endTime));
+        return Promise.all(finite.map(animation => animation.finished.catch(() => {})));
+    }
+
+    // Resolves with true once nothing has changed for `quietPeriod` ms, or with false after `timeout` ms
+    function waitForQuiet(quietPeriod, timeout) {
+        return new Promise(resolve => {
+            let timer = null;
+            let layoutObserver = null;
+            const giveUp = setTimeout(() => done(false), timeout);
+
+            const mutationObserver = new MutationObserver(mutations => {
+                // Our own progress bar updates don't count
+                if (mutations.some(m => !isOwnUi(m.target.nodeType === 1 ? m.target : m.target.parentElement))) {
+                    restart();
+                }
+            });
+
+            function restart() {
+                clearTimeout(timer);
+                timer = setTimeout(() => done(true), quietPeriod);
+            }
+
+            function done(quiet) {
+                clearTimeout(timer);
+                clearTimeout(giveUp);
+                mutationObserver.disconnect();
+                if (layoutObserver) layoutObserver.disconnect();
+                resolve(quiet);
+            }
+
+            mutationObserver.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                characterData: true
+            });
+
+            if (typeof PerformanceObserver !== 'undefined' &&
+                (PerformanceObserver.supportedEntryTypes || []).includes('layout-shift')) {
+                layoutObserver = new PerformanceObserver(restart);
+                layoutObserver.observe({ type: 'layout-shift' });
+            }
+
+            restart();
+        });
+    }
+
+    function scrollToPosition(x, y) {
         if (scrollContainer === document.documentElement) {
-            window.scrollTo(0, y);
+            window.scrollTo(x, y);
         } else {
+            scrollContainer.scrollLeft = x;
             scrollContainer.scrollTop = y;
         }
+    }
+
+    function getScrollPosition() {
+        if (scrollContainer === document.documentElement) {
+            return { x: window.scrollX, y: window.scrollY };
+        }
+        return { x: scrollContainer.scrollLeft, y: scrollContainer.scrollTop };
+    }
+
+    // Converts a viewport rect into page coordinates (viewport position + current scroll),
+    // the same coordinate space the stitched tiles are laid out in.
+    function toPageRect(rect) {
+        const scroll = getScrollPosition();
+        return {
+            x: rect.left + scroll.x,
+            y: rect.top + scroll.y,
+            width: rect.width,
+            height: rect.height
+        };
+    }
+
+    // --- Text Layer ---
 
-        // Wait for layout/rendering
-        await wait(1000);
+    // Text and links of the scroll container in page coordinates, read before the page is restored
+    // so redacted text is left out (see page_archive.js). A text node wrapping onto several lines
+    // gives one run per line.
+    function collectTextLayer() {
+        const root = scrollContainer === document.documentElement ? document.body : scrollContainer;
+        const runs = [];
+        const links = [];
+        if (!root) return { runs, links };
 
-        // Return actual scroll position
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                const parent = node.parentElement;
+                if (!parent || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA'].includes(parent.tagName) || isOwnUi(parent) ||
+                    parent.closest(`.fps-extension-redacted, [${REDACT_ATTRIBUTE}]`)) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return node.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+            }
+        });
+        const range = document.createRange();
+        while (walker.nextNode() && runs.length < MAX_TEXT_RUNS) {
+            const node = walker.currentNode;
+            if (getComputedStyle(node.parentElement).visibility === 'hidden') continue;
+            range.selectNodeContents(node);
+            const rects = Array.from(range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0);
+            if (rects.length === 1) {
+                runs.push({ ...toPageRect(rects[0]), text: node.nodeValue.trim().replace(/\s+/g, ' ') });
+            } else if (rects.length > 1) {
+                runs.push(...splitIntoLines(node, range));
+            }
+        }
+
+        root.querySelectorAll('a[href]').forEach(link => {
+            if (isOwnUi(link)) return;
+            Array.from(link.getClientRects()).forEach(rect => {
+                if (rect.width > 0 && rect.height > 0) links.push({ ...toPageRect(rect), href: link.href });
+            });
+        });
+        return { runs, links };
+    }
+
+    // Measures the words of a wrapped text node one by one and joins the ones on the same line
+    function splitIntoLines(node, range) {
+        const lines = [];
+        const words = /\S+/g;
+        let line = null;
+        let match;
+        while ((match = words.exec(node.nodeValue))) {
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+            const rect = range.getBoundingClientRect();
+            if (rect.width === 0) continue;
+            if (line && Math.abs(rect.top - line.top) < rect.height / 2) {
+                line.right = Math.max(line.right, rect.right);
+                line.bottom = Math.max(line.bottom, rect.bottom);
+                line.words.push(match[0]);
+            } else {
+                if (line) lines.push(line);
+                line = { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom, words: [match[0]] };
+            }
+        }
+        if (line) lines.push(line);
+
+        return lines.map(({ left, top, right, bottom, words }) => ({
+            ...toPageRect({ left, top, width: right - left, height: bottom - top }),
+            text: words.join(' ')
+        }));
+    }
+
+    // --- Element Picker ---
+
+    // Lets the user hover-highlight and click an element.
+    // Resolves with the element's rect in page coordinates, or null if cancelled with Escape.
+    // With `srcUrl` (context menu on an image), that image is used without asking.
+    function pickElement(srcUrl) {
+        scrollContainer = resolveScrollContainer(scrollOptions);
+
+        const image = srcUrl ? findImageBySrc(srcUrl) : null;
+        if (image) {
+            return Promise.resolve(toPageRect(image.getBoundingClientRect()));
+        }
+
+        return new Promise((resolve) => {
+            const highlight = document.createElement('div');
+            highlight.id = 'fps-extension-picker';
+            highlight.style.cssText = `
+      position: fixed;
+      pointer-events: none;
+      border: 2px solid #4285f4;
+      background-color: rgba(66, 133, 244, 0.15);
+      z-index: 2147483647;
+      display: none;
+    `;
+
+            const hint = createHint('Click an element to capture it. Press Esc to cancel.');
+            document.body.appendChild(highlight);
+            let hovered = null;
+
+            function onMouseMove(e) {
+                hovered = e.target;
+                const rect = hovered.getBoundingClientRect();
+                highlight.style.display = 'block';
+                highlight.style.left = rect.left + 'px';
+                highlight.style.top = rect.top + 'px';
+                highlight.style.width = rect.width + 'px';
+                highlight.style.height = rect.height + 'px';
+            }
+
+            function onClick(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                const target = hovered || e.target;
+                finish(toPageRect(target.getBoundingClientRect()));
+            }
+
+            function onKeyDown(e) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(null);
+                }
+            }
+
+            function finish(region) {
+                document.removeEventListener('mousemove', onMouseMove, true);
+                document.removeEventListener('click', onClick, true);
+                document.removeEventListener('keydown', onKeyDown, true);
+                highlight.remove();
+                hint.remove();
+                resolve(region);
+            }
+
+            document.addEventListener('mousemove', onMouseMove, true);
+            document.addEventListener('click', onClick, true);
+            document.addEventListener('keydown', onKeyDown, true);
+        });
+    }
+
+    function findImageBySrc(srcUrl) {
+        return Array.from(document.images).find(img =>
+            (img.currentSrc === srcUrl || img.src === srcUrl) && img.getBoundingClientRect().width > 0) || null;
+    }
+
+    // --- Region Selection ---
+
+    // Lets the user drag a rubber-band rectangle. Dragging near the top/bottom edge
+    // auto-scrolls, so the selection can be taller than the viewport.
+    // Resolves with the rect in page coordinates, or null if cancelled.
+    function selectRegion() {
+        scrollContainer = resolveScrollContainer(scrollOptions);
+
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.id = 'fps-extension-region-overlay';
+            overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      cursor: crosshair;
+      background-color: rgba(0, 0, 0, 0.1);
+      z-index: 2147483646;
+    `;
+
+            const box = document.createElement('div');
+            box.style.cssText = `
+      position: fixed;
+      pointer-events: none;
+      border: 2px dashed #4285f4;
+      background-color: rgba(66, 133, 244, 0.15);
+      z-index: 2147483647;
+      display: none;
+    `;
+
+            const hint = createHint('Drag to select an area. Drag past the edge to scroll. Press Esc to cancel.');
+            document.body.appendChild(overlay);
+            document.body.appendChild(box);
+
+            let start = null; // Page coordinates
+            let lastClient = null; // Viewport coordinates of the pointer
+            let frameId = null;
+
+            function currentPoint() {
+                const scroll = getScrollPosition();
+                return { x: lastClient.x + scroll.x, y: lastClient.y + scroll.y };
+            }
+
+            function selectionRect() {
+                const end = currentPoint();
+                return {
+                    x: Math.min(start.x, end.x),
+                    y: Math.min(start.y, end.y),
+                    width: Math.abs(end.x - start.x),
+                    height: Math.abs(end.y - start.y)
+                };
+            }
+
+            function renderBox() {
+                const rect = selectionRect();
+                const scroll = getScrollPosition();
+                box.style.display = 'block';
+                box.style.left = (rect.x - scroll.x) + 'px';
+                box.style.top = (rect.y - scroll.y) + 'px';
+                box.style.width = rect.width + 'px';
+                box.style.height = rect.height + 'px';
+            }
+
+            function autoScroll() {
+                const edges = getVisibleEdges();
+                let dy = 0;
+                if (lastClient.y > edges.bottom - AUTO_SCROLL_EDGE) {
+                    dy = Math.ceil((lastClient.y - (edges.bottom - AUTO_SCROLL_EDGE)) / AUTO_SCROLL_EDGE * AUTO_SCROLL_MAX_SPEED);
+                } else if (lastClient.y < edges.top + AUTO_SCROLL_EDGE) {
+                    dy = -Math.ceil(((edges.top + AUTO_SCROLL_EDGE) - lastClient.y) / AUTO_SCROLL_EDGE * AUTO_SCROLL_MAX_SPEED);
+                }
+
+                if (dy !== 0) {
+                    const scroll = getScrollPosition();
+                    scrollToPosition(scroll.x, scroll.y + Math.max(-AUTO_SCROLL_MAX_SPEED, Math.min(dy, AUTO_SCROLL_MAX_SPEED)));
+                    renderBox();
+                }
+                frameId = requestAnimationFrame(autoScroll);
+            }
+
+            function onMouseDown(e) {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                lastClient = { x: e.clientX, y: e.clientY };
+                start = currentPoint();
+                renderBox();
+                frameId = requestAnimationFrame(autoScroll);
+            }
+
+            function onMouseMove(e) {
+                if (!start) return;
+                lastClient = { x: e.clientX, y: e.clientY };
+                renderBox();
+            }
+
+            function onMouseUp() {
+                if (!start) return;
+                const rect = selectionRect();
+                // Treat a plain click (no real drag) as a cancelled selection
+                finish(rect.width > 4 && rect.height > 4 ? rect : null);
+            }
+
+            function onKeyDown(e) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(null);
+                }
+            }
+
+            function finish(region) {
+                if (frameId) cancelAnimationFrame(frameId);
+                overlay.removeEventListener('mousedown', onMouseDown);
+                document.removeEventListener('mousemove', onMouseMove, true);
+                document.removeEventListener('mouseup', onMouseUp, true);
+                document.removeEventListener('keydown', onKeyDown, true);
+                overlay.remove();
+                box.remove();
+                hint.remove();
+                resolve(region);
+            }
+
+            overlay.addEventListener('mousedown', onMouseDown);
+            document.addEventListener('mousemove', onMouseMove, true);
+            document.addEventListener('mouseup', onMouseUp, true);
+            document.addEventListener('keydown', onKeyDown, true);
+        });
+    }
+
+    // Top/bottom edge of the scroll container's visible area, in viewport coordinates
+    function getVisibleEdges() {
         if (scrollContainer === document.documentElement) {
-            return window.scrollY;
-        } else {
-            return scrollContainer.scrollTop;
+            return { top: 0, bottom: window.innerHeight };
         }
+        const rect = scrollContainer.getBoundingClientRect();
+        return { top: Math.max(0, rect.top), bottom: Math.min(window.innerHeight, rect.bottom) };
+    }
+
+    function createHint(text) {
+        const hint = document.createElement('div');
+        hint.id = 'fps-extension-hint';
+        hint.textContent = text;
+        hint.style.cssText = `
+      position: fixed;
+      top: 12px;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 8px 14px;
+      border-radius: 4px;
+      background-color: rgba(0, 0, 0, 0.75);
+      color: #fff;
+      font: 13px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      z-index: 2147483647;
+      pointer-events: none;
+    `;
+        document.body.appendChild(hint);
+        return hint;
     }
 
-    function restorePage(savedScrollY) {
+    function onCaptureKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            chrome.runtime.sendMessage({ action: 'CANCEL_CAPTURE' });
+        }
+    }
+
+    function restorePage(savedScrollX, savedScrollY) {
         removeProgressBar();
+        document.removeEventListener('keydown', onCaptureKeyDown, true);
 
         originalStyles.forEach((styles, el) => {
             el.style.visibility = styles.visibility;
+            el.style.position = styles.position;
+            el.style.display = styles.display;
         });
         originalStyles.clear();
+        fixedElements = [];
+        chosenContainer = null;
+
+        eagerImages.forEach(img => img.setAttribute('loading', 'lazy'));
+        eagerImages = [];
+
+        stopRedaction();
 
         document.documentElement.style.overflow = '';
         if (scrollContainer && scrollContainer !== document.documentElement) {
@@ -220,12 +1335,32 @@ if (window.hasRun) {
         }
 
         if (scrollContainer === document.documentElement) {
-            window.scrollTo(0, savedScrollY);
+            window.scrollTo(savedScrollX, savedScrollY);
         } else if (scrollContainer) {
+            scrollContainer.scrollLeft = savedScrollX;
             scrollContainer.scrollTop = savedScrollY;
         }
     }
 
+    // The background worker has no clipboard: it sends the image here in parts (COPY_IMAGE_PART),
+    // then asks for it to be written (COPY_IMAGE). Part 0 starts a new image.
+    // Decoded by hand: fetching a data: URL can be blocked by the page's CSP.
+    function receiveImagePart(part, dataUrl) {
+        if (part === 0) clipboardParts = [];
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        clipboardParts.push(bytes);
+    }
+
+    async function copyImage(type) {
+        const blob = new Blob(clipboardParts, { type });
+        clipboardParts = [];
+        await navigator.clipboard.write([new ClipboardItem({ [type]: blob })]);
+    }
+
     function wait(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -234,6 +1369,17 @@ if (window.hasRun) {
     if (typeof module !== 'undefined' && module.exports) {
         module.exports = {
             findScrollableElement,
+            resolveScrollContainer,
+            getStableSelector,
+            describeFrame,
+            findSensitiveRanges,
+            buildRedactionPatterns,
+            redactPage,
+            undoRedactions,
+            startRedaction,
+            flushRedaction,
+            stopRedaction,
+            waitForSettle,
             // We need to expose the helper functions if we want to test them individually, 
             // but they are defined inside findScrollableElement scope in the previous version.
             // Wait, in the previous version they were defined INSIDE findScrollableElement.
@@ -0,0 +1,153 @@
+// device_emulation.js
+// Captures at other viewport widths (phone, tablet, desktop, custom) for the background worker.
+// The tab is put under a device-metrics override through chrome.debugger, captured with the usual
+// scroll-and-stitch loop once per width, and put back afterwards. The popup loads this file too,
+// for the preset list.
+
+const DEVICE_PRESETS = {
+    phone: { label: 'Phone', width: 390, mobile: true },
+    tablet: { label: 'Tablet', width: 820, mobile: true },
+    desktop: { label: 'Desktop', width: 1440, mobile: false }
+};
+
+const MIN_DEVICE_WIDTH = 200;
+const MAX_DEVICE_WIDTH = 3840;
+// Custom widths at or below this are emulated as mobile devices
+const MAX_MOBILE_WIDTH = 1024;
+
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+// Time for the page to lay itself out after the viewport changed
+const RELAYOUT_WAIT = 500;
+
+let deviceRun = null; // { tabId, detached } while the tab is emulated
+
+/**
+ * Turns a selection from the popup into a device. Custom widths are clamped to a sane range.
+ * @param {{name: string, width?: number}} selection A preset name, or 'custom' with a width
+ * @returns {{name: string, label: string, width: number, mobile: boolean}|null} Null for unknown names
+ */
+function resolveDevice(selection) {
+    if (selection.name === 'custom') {
+        const width = Math.round(Math.min(Math.max(Number(selection.width) || 0, MIN_DEVICE_WIDTH), MAX_DEVICE_WIDTH));
+        return { name: 'custom', label: `${width}px`, width, mobile: width <= MAX_MOBILE_WIDTH };
+    }
+    const preset = DEVICE_PRESETS[selection.name];
+    return preset ? { name: selection.name, ...preset } : null;
+}
+
+/**
+ * Parameters for Emulation.setDeviceMetricsOverride. The page is laid out `width` CSS px wide in
+ * the current viewport; a layout wider than the window is scaled down to fit, and made taller by
+ * the same factor so it still fills the window. The device pixel ratio is left as it is.
+ * @param {{width: number, mobile: boolean}} device
+ * @param {{width: number, height: number}} viewport Current viewport in CSS px
+ */
+function getDeviceMetrics(device, viewport) {
+    const scale = Math.min(1, viewport.width / device.width);
+    return {
+        width: device.width,
+        height: Math.floor(viewport.height / scale),
+        deviceScaleFactor: 0,
+        mobile: device.mobile,
+        scale
+    };
+}
+
+/**
+ * Starts a run over `selections` unless one is going. Needs the "debugger" permission
+ * (requested by the popup).
+ */
+function startDeviceCaptures(tabId, selections) {
+    if (deviceRun) {
+        return { error: 'A device capture is already running.' };
+    }
+    const devices = selections.map(resolveDevice).filter(Boolean);
+    if (devices.length === 0) {
+        return { error: 'Pick at least one device size.' };
+    }
+    runDeviceCaptures(tabId, devices).catch(e => {
+        console.error('Device capture failed:', e);
+        broadcastStatus(tabId, { status: 'aborted', message: 'Device capture failed: ' + e.message });
+    });
+    return { status: 'started' };
+}
+
+async function runDeviceCaptures(tabId, devices) {
+    const target = { tabId };
+    deviceRun = { tabId, detached: false };
+    // The user can end the session from the "started debugging" bar: stop the capture too
+    const onDetach = (source) => {
+        if (source.tabId === tabId) {
+            deviceRun.detached = true;
+            requestStop(tabId, 'cancel');
+        }
+    };
+
+    const captureIds = [];
+    try {
+        await chrome.debugger.attach(target, DEBUGGER_PROTOCOL_VERSION);
+        chrome.debugger.onDetach.addListener(onDetach);
+        // Measured after attaching: the debugging bar takes some height
+        await wait(RELAYOUT_WAIT);
+        const viewport = await getViewportSize(tabId);
+
+        for (const device of devices) {
+            if (deviceRun.detached) break;
+            const metrics = getDeviceMetrics(device, viewport);
+            await chrome.debugger.sendCommand(target, 'Emulation.setDeviceMetricsOverride', metrics);
+            await wait(RELAYOUT_WAIT);
+
+            const result = await startCapture(tabId, 'full', { batch: true, device: { ...device, scale: metrics.scale } });
+            if (result.status !== 'done') break;
+            captureIds.push(result.id);
+        }
+    } finally {
+        chrome.debugger.onDetach.removeListener(onDetach);
+        if (!deviceRun.detached) {
+            await chrome.debugger.sendCommand(target, 'Emulation.clearDeviceMetricsOverride').catch(() => {});
+            await chrome.debugger.detach(target).catch(() => {});
+        }
+        deviceRun = null;
+    }
+
+    await deliverDeviceCaptures(tabId, captureIds);
+}
+
+// Every width is kept in the history and handed over as configured once the tab is back to normal.
+// Only one image fits on the clipboard, so several are opened instead.
+async function deliverDeviceCaptures(tabId, captureIds) {
+    if (captureIds.length === 0) return;
+    const records = await Promise.all(captureIds.map(getCapture));
+    const settings = await loadSettings(getHostname(records[0].url));
+    await enforceRetention({
+        maxCount: Math.max(settings.history.maxCount, records.length),
+        maxBytes: settings.history.maxMegabytes * 1024 * 1024
+    }, getActiveCaptureIds());
+
+    let output = settings.output;
+    if (records.length > 1 && output.afterCapture === 'clipboard') {
+        output = { ...output, afterCapture: 'open' };
+    }
+    let message = null;
+    for (const record of records) {
+        message = await deliverCapture(tabId, record, output);
+    }
+    broadcastStatus(tabId, { status: 'done', message: `Captured ${records.length} device sizes. ${message}` });
+}
+
+async function getViewportSize(tabId) {
+    const [injection] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => ({ width: window.innerWidth, height: window.innerHeight })
+    });
+    return injection.result;
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEVICE_PRESETS,
+        resolveDevice,
+        getDeviceMetrics
+    };
+}
@@ -0,0 +1,233 @@
+// downloads.js
+// Getting captures out of the extension: saving through chrome.downloads and copying to the clipboard.
+// Loaded by the extension pages and by the background worker (via importScripts).
+
+const DEFAULT_FILENAME_TEMPLATE = 'screenshot-{date}-{time}';
+const COUNTER_KEY = 'filenameCounter';
+const MAX_FILENAME_PART = 100;
+
+// Characters Windows, macOS or Linux do not allow in file names
+const ILLEGAL_FILENAME_CHARS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+// The background worker has no object URLs, and data: URLs longer than about 2 MB cannot be
+// downloaded. It gets blob URLs from an offscreen document instead (see offscreen.js).
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+let offscreenDocument = null;
+
+// Chrome fails to put very large images on the clipboard; bigger ones are downscaled first
+// (result page and copying after capture). Captures stitched into several parts cannot be copied.
+const MAX_CLIPBOARD_PIXELS = 40000000;
+
+/**
+ * Saves an export of a capture (PNG, PDF, ...) with the filename settings. PNG and JPEG files get
+ * the capture details embedded unless that is turned off. Needs settings.js and capture_metadata.js.
+ * @param {Blob} blob
+ * @param {string} extension File extension without the dot
+ * @param {{url: string, title: string, width: number, height: number, timestamp: number}} record The capture
+ * @param {Object} [options]
+ * @param {string} [options.suffix] Appended to the file name, e.g. '-part2' for multi-part captures
+ * @param {boolean} [options.silent] Never show the "Save As" dialog
+ * @param {boolean} [options.throwOnError] Reject instead of alerting when the download fails (see saveBlob())
+ */
+async function saveCaptureFile(blob, extension, record, { suffix = '', silent = false, throwOnError = false } = {}) {
+    const info = filenameInfo(record);
+    const { output } = await loadSettings(info.hostname);
+    const template = `${output.folder}/${output.filenameTemplate}`;
+    const counter = /\{counter\}/.test(template) ? await nextFilenameCounter() : 0;
+    const filename = buildFilePath(template, { ...info, counter }, suffix, extension);
+    const file = output.embedMetadata ? await addImageMetadata(blob, record) : blob;
+    return saveBlob(file, filename, silent ? false : output.saveAs, { throwOnError });
+}
+
+/**
+ * Saves a blob through chrome.downloads.
+ * @param {Blob} blob
+ * @param {string} filename Path relative to the downloads directory
+ * @param {boolean} saveAs Show the "Save As" dialog
+ * @param {Object} [options]
+ * @param {boolean} [options.throwOnError] In a page, reject instead of alerting: for callers that
+ *   stop or report failures themselves. The background worker always rejects.
+ * @returns {Promise<number|null>} The download id, or null if the download failed in a page
+ */
+async function saveBlob(blob, filename, saveAs = true, { throwOnError = false } = {}) {
+    const url = await createBlobUrl(blob);
+
+    try {
+        const id = await chrome.downloads.download({
+            url: url,
+            filename: filename,
+            saveAs: saveAs
+        });
+        releaseBlobUrlWhenDone(id, url);
+        return id;
+    } catch (e) {
+        releaseBlobUrl(url);
+        console.error('Download failed:', e);
+        // Extension pages tell the user right away; the background worker reports failures itself
+        if (throwOnError || typeof alert !== 'function') throw e;
+        alert('Download failed: ' + e.message);
+        return null;
+    }
+}
+
+async function createBlobUrl(blob) {
+    if (typeof URL.createObjectURL === 'function') {
+        return URL.createObjectURL(blob);
+    }
+    const client = await getOffscreenClient();
+    const channel = new MessageChannel();
+    const reply = new Promise(resolve => {
+        channel.port1.onmessage = (event) => {
+            channel.port1.close();
+            resolve(event.data);
+        };
+    });
+    client.postMessage({ action: 'CREATE_BLOB_URL', blob }, [channel.port2]);
+    return reply;
+}
+
+function releaseBlobUrl(url) {
+    if (typeof URL.revokeObjectURL === 'function') {
+        URL.revokeObjectURL(url);
+    } else {
+        getOffscreenClient().then(client => client.postMessage({ action: 'REVOKE_BLOB_URL', url }));
+    }
+}
+
+// The file is read from the URL while it downloads: keep the URL until then
+function releaseBlobUrlWhenDone(downloadId, url) {
+    const onChanged = (delta) => {
+        if (delta.id !== downloadId || !delta.state || delta.state.current === 'in_progress') return;
+        chrome.downloads.onChanged.removeListener(onChanged);
+        releaseBlobUrl(url);
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+}
+
+// The offscreen document as a client of the background worker. Blobs can be posted to it,
+// unlike chrome.runtime messages, which are JSON.
+async function getOffscreenClient() {
+    const url = chrome.runtime.getURL(OFFSCREEN_DOCUMENT);
+    const find = async () => (await self.clients.matchAll({ includeUncontrolled: true })).find(client => client.url === url);
+    if (!await find()) {
+        // Created once even when several downloads start at the same time
+        offscreenDocument = offscreenDocument || chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT,
+            reasons: ['BLOBS'],
+            justification: 'Create blob URLs for downloads started by the background worker'
+        }).finally(() => {
+            offscreenDocument = null;
+        });
+        await offscreenDocument;
+    }
+    return find();
+}
+
+function filenameInfo(record) {
+    let hostname = '';
+    let path = '';
+    try {
+        const url = new URL(record.url);
+        hostname = url.hostname;
+        path = url.pathname.split('/').filter(Boolean).join('-');
+    } catch (e) {
+        // Not a URL (e.g. missing): leave the tokens empty
+    }
+    return {
+        hostname,
+        path,
+        title: record.title || '',
+        width: record.width,
+        height: record.height,
+        date: new Date(record.timestamp || Date.now())
+    };
+}
+
+// Increments and returns the persistent {counter} value
+async function nextFilenameCounter() {
+    const data = await chrome.storage.local.get(COUNTER_KEY);
+    const counter = (data[COUNTER_KEY] || 0) + 1;
+    await chrome.storage.local.set({ [COUNTER_KEY]: counter });
+    return counter;
+}
+
+/**
+ * Turns a template into a download path. '/' in the template separates subfolders.
+ * Tokens: {hostname}, {title}, {path}, {date}, {time}, {width}, {height}, {counter}.
+ * Token values never create folders: their slashes are replaced like any other illegal character.
+ */
+function buildFilePath(template, info, suffix = '', extension = 'png') {
+    // A template ending in a slash only names the folder
+    if (/[\\/]\s*$/.test(template)) {
+        template += DEFAULT_FILENAME_TEMPLATE;
+    }
+    const segments = template.split(/[\\/]+/)
+        .map(segment => sanitizeFilename(formatFilename(segment, info)))
+        .filter(Boolean);
+    const name = segments.pop() || formatFilename(DEFAULT_FILENAME_TEMPLATE, info);
+    return [...segments, `${name}${suffix}.${extension}`].join('/');
+}
+
+// Fills in the tokens of one path segment. Unknown tokens are left as they are.
+function formatFilename(template, info = {}) {
+    const date = info.date || new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const tokens = {
+        hostname: info.hostname,
+        title: info.title,
+        path: info.path,
+        width: info.width,
+        height: info.height,
+        counter: info.counter !== undefined ? String(info.counter).padStart(3, '0') : undefined,
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`
+    };
+    return template.replace(/\{(\w+)\}/g, (match, token) => {
+        if (!(token in tokens)) return match;
+        return tokens[token] === undefined ? '' : sanitizeFilename(String(tokens[token]));
+    });
+}
+
+// Makes one path segment safe on every OS: no illegal characters, no leading/trailing dots or spaces,
+// no reserved device names, limited length. Returns '' if nothing usable is left.
+function sanitizeFilename(value) {
+    let name = value
+        .replace(ILLEGAL_FILENAME_CHARS, '_')
+        .replace(/\s+/g, ' ')
+        .slice(0, MAX_FILENAME_PART)
+        .replace(/^[\s.]+|[\s.]+$/g, '');
+    if (RESERVED_FILENAMES.test(name)) {
+        name = '_' + name;
+    }
+    return name;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// The page must have focus. Rejects if the clipboard refuses the image.
+async function copyBlobToClipboard(blob) {
+    await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildFilePath,
+        formatFilename,
+        sanitizeFilename,
+        saveBlob
+    };
+}
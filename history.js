@@ -0,0 +1,122 @@
+// history.js
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const gallery = document.getElementById('gallery');
+    const searchInput = document.getElementById('search');
+    const summary = document.getElementById('summary');
+    let records = [];
+    let thumbnailUrls = [];
+
+    async function refresh() {
+        records = await listCaptures();
+        render();
+    }
+
+    function render() {
+        thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        thumbnailUrls = [];
+        gallery.innerHTML = '';
+
+        const query = searchInput.value.trim().toLowerCase();
+        const visible = records.filter(record =>
+            !query ||
+            (record.url || '').toLowerCase().includes(query) ||
+            (record.title || '').toLowerCase().includes(query));
+
+        const totalBytes = records.reduce((sum, record) => sum + (record.bytes || 0), 0);
+        summary.textContent = `${records.length} captures, ${formatBytes(totalBytes)}`;
+
+        if (visible.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'empty';
+            empty.textContent = records.length === 0 ? 'No captures yet.' : 'No captures match your search.';
+            gallery.appendChild(empty);
+            return;
+        }
+
+        visible.forEach(record => gallery.appendChild(createCard(record)));
+    }
+
+    function createCard(record) {
+        const card = document.createElement('div');
+        card.className = 'card';
+
+        const img = document.createElement('img');
+        if (record.thumbnail) {
+            const url = URL.createObjectURL(record.thumbnail);
+            thumbnailUrls.push(url);
+            img.src = url;
+        }
+        img.alt = record.title || record.url || 'Capture';
+        img.addEventListener('click', () => openCapture(record.id));
+
+        const info = document.createElement('div');
+        info.className = 'info';
+        info.appendChild(createLine('title', record.title || '(untitled)'));
+        info.appendChild(createLine('url', record.url || ''));
+        info.appendChild(createLine('meta',
+            `${new Date(record.timestamp).toLocaleString()} · ${record.width}×${record.height} · ${formatBytes(record.bytes || 0)}`));
+
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        actions.appendChild(createButton('Open', '', () => openCapture(record.id)));
+        actions.appendChild(createButton('Download', '', async () => {
+            let blobs = [];
+            let saved = 0;
+            try {
+                blobs = await getCaptureImages(record.id);
+                // One at a time, so each part gets its own save dialog and a failure stops the rest
+                for (const [part, blob] of blobs.entries()) {
+                    await saveCaptureFile(blob, 'png', record, {
+                        suffix: blobs.length > 1 ? `-part${part + 1}` : '',
+                        throwOnError: true
+                    });
+                    saved++;
+                }
+            } catch (err) {
+                console.error(err);
+                const progress = blobs.length > 1 ? ` after ${saved} of ${blobs.length} parts` : '';
+                summary.textContent = `Download failed${progress}: ${err.message}`;
+            }
+        }));
+        actions.appendChild(createButton('Delete', 'delete', async () => {
+            if (!confirm('Delete this capture?')) return;
+            await deleteCapture(record.id);
+            await refresh();
+        }));
+
+        card.appendChild(img);
+        card.appendChild(info);
+        card.appendChild(actions);
+        return card;
+    }
+
+    searchInput.addEventListener('input', render);
+
+    try {
+        await refresh();
+    } catch (err) {
+        console.error(err);
+        summary.textContent = 'Error loading history: ' + err.message;
+    }
+});
+
+function openCapture(id) {
+    chrome.tabs.create({ url: `result.html?id=${encodeURIComponent(id)}` });
+}
+
+function createLine(className, text) {
+    const div = document.createElement('div');
+    div.className = className;
+    div.textContent = text;
+    div.title = text;
+    return div;
+}
+
+function createButton(label, className, onClick) {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.className = className;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
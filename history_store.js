@@ -0,0 +1,208 @@
+// history_store.js
+// Capture history kept in IndexedDB (shared by the background worker, result and history pages).
+// Metadata and thumbnails live in the 'captures' store so the gallery can list them cheaply;
+// the full-size image blobs live in 'images', keyed by [captureId, part]
+// (long captures are split into several parts, see stitcher.js). The page saved with a capture
+// (text layer and MHTML, see page_archive.js) lives in 'pages', keyed by captureId.
+
+const HISTORY_DB_NAME = 'fps-history';
+const HISTORY_DB_VERSION = 2;
+
+function openHistoryDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('captures')) {
+                const captures = db.createObjectStore('captures', { keyPath: 'id' });
+                captures.createIndex('timestamp', 'timestamp');
+            }
+            if (!db.objectStoreNames.contains('images')) {
+                db.createObjectStore('images', { keyPath: ['captureId', 'part'] });
+            }
+            if (!db.objectStoreNames.contains('pages')) {
+                db.createObjectStore('pages', { keyPath: 'captureId' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Stores one full-size image part. Parts are written while the capture is still running.
+async function saveCaptureImage(captureId, part, blob) {
+    const db = await openHistoryDb();
+    const tx = db.transaction('images', 'readwrite');
+    tx.objectStore('images').put({ captureId, part, blob });
+    await transactionDone(tx);
+    db.close();
+}
+
+/**
+ * Stores the page saved with a capture.
+ * @param {string} captureId
+ * @param {{textLayer: Object|null, mhtml: Blob|null}} page
+ */
+async function saveCapturePage(captureId, page) {
+    const db = await openHistoryDb();
+    const tx = db.transaction('pages', 'readwrite');
+    tx.objectStore('pages').put({ captureId, ...page });
+    await transactionDone(tx);
+    db.close();
+}
+
+/**
+ * Stores the capture metadata once all its image parts are saved.
+ * @param {{id: string, url: string, title: string, timestamp: number, width: number, height: number,
+ *          parts: number, bytes: number, thumbnail: Blob}} record
+ */
+async function saveCaptureRecord(record) {
+    const db = await openHistoryDb();
+    const tx = db.transaction('captures', 'readwrite');
+    tx.objectStore('captures').put(record);
+    await transactionDone(tx);
+    db.close();
+}
+
+// All capture records (without image blobs), newest first
+async function listCaptures() {
+    const db = await openHistoryDb();
+    const records = await requestToPromise(db.transaction('captures').objectStore('captures').getAll());
+    db.close();
+    return records.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+async function getCapture(id) {
+    const db = await openHistoryDb();
+    const record = await requestToPromise(db.transaction('captures').objectStore('captures').get(id));
+    db.close();
+    return record || null;
+}
+
+// Full-size image blobs of a capture, in part order
+async function getCaptureImages(id) {
+    const db = await openHistoryDb();
+    const range = IDBKeyRange.bound([id, 0], [id, Infinity]);
+    const entries = await requestToPromise(db.transaction('images').objectStore('images').getAll(range));
+    db.close();
+    return entries.sort((a, b) => a.part - b.part).map(entry => entry.blob);
+}
+
+async function getCaptureImage(id, part) {
+    const db = await openHistoryDb();
+    const entry = await requestToPromise(db.transaction('images').objectStore('images').get([id, part]));
+    db.close();
+    return entry ? entry.blob : null;
+}
+
+// The page saved with a capture, or null
+async function getCapturePage(id) {
+    const db = await openHistoryDb();
+    const entry = await requestToPromise(db.transaction('pages').objectStore('pages').get(id));
+    db.close();
+    return entry || null;
+}
+
+async function deleteCapture(id) {
+    const db = await openHistoryDb();
+    const tx = db.transaction(['captures', 'images', 'pages'], 'readwrite');
+    tx.objectStore('captures').delete(id);
+    tx.objectStore('images').delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+    tx.objectStore('pages').delete(id);
+    await transactionDone(tx);
+    db.close();
+}
+
+/**
+ * Picks the captures to delete so the history fits the retention limits.
+ * The newest capture is always kept, even if it alone exceeds `maxBytes`.
+ * @param {Array<{id: string, timestamp: number, bytes: number}>} records
+ * @param {{maxCount: number, maxBytes: number}} limits 0 means unlimited
+ * @returns {string[]} ids to delete
+ */
+function selectEvictions(records, { maxCount, maxBytes }) {
+    const newestFirst = records.slice().sort((a, b) => b.timestamp - a.timestamp);
+    const evicted = [];
+    let count = 0;
+    let bytes = 0;
+    let full = false;
+
+    newestFirst.forEach((record, index) => {
+        const overCount = maxCount > 0 && count + 1 > maxCount;
+        const overBytes = maxBytes > 0 && bytes + record.bytes > maxBytes;
+        // Once a limit is reached, everything older goes too
+        if (index > 0 && (full || overCount || overBytes)) {
+            full = true;
+            evicted.push(record.id);
+            return;
+        }
+        count++;
+        bytes += record.bytes;
+    });
+
+    return evicted;
+}
+
+/**
+ * Picks the captures that have image parts or a saved page but no record: left behind by a capture
+ * that was aborted, or whose worker was stopped before it finished.
+ * @param {string[]} storedIds Capture ids in the 'images' and 'pages' stores
+ * @param {Array<{id: string}>} records
+ * @param {string[]} activeIds Captures still running: their parts are saved before their record
+ * @returns {string[]} ids to delete
+ */
+function selectOrphans(storedIds, records, activeIds) {
+    const kept = new Set([...records.map(record => record.id), ...activeIds]);
+    return Array.from(new Set(storedIds)).filter(id => !kept.has(id));
+}
+
+// Capture ids that have image parts or a saved page, read from the keys only
+async function listStoredCaptureIds() {
+    const db = await openHistoryDb();
+    const tx = db.transaction(['images', 'pages']);
+    const [imageKeys, pageKeys] = await Promise.all([
+        requestToPromise(tx.objectStore('images').getAllKeys()),
+        requestToPromise(tx.objectStore('pages').getAllKeys())
+    ]);
+    db.close();
+    return [...imageKeys.map(([captureId]) => captureId), ...pageKeys];
+}
+
+/**
+ * Deletes the captures over the retention limits and whatever aborted captures left behind.
+ * @param {{maxCount: number, maxBytes: number}} limits See selectEvictions()
+ * @param {string[]} activeIds Captures still running, see selectOrphans()
+ * @returns {Promise<string[]>} ids of the deleted captures
+ */
+async function enforceRetention(limits, activeIds) {
+    const records = await listCaptures();
+    const evicted = selectEvictions(records, limits);
+    const orphans = selectOrphans(await listStoredCaptureIds(), records, activeIds);
+    for (const id of [...evicted, ...orphans]) {
+        await deleteCapture(id);
+    }
+    return evicted;
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        selectEvictions,
+        selectOrphans
+    };
+}
@@ -0,0 +1,154 @@
+// image_diff.js
+// Pixel diff between two captures for the compare view on the result page.
+// Works on raw RGBA data ({data, width, height}, like ImageData) so it can be tested without a canvas.
+
+// Default largest per-channel difference still treated as equal: absorbs anti-aliasing
+// and JPEG noise without hiding real changes
+const DEFAULT_DIFF_TOLERANCE = 16;
+// Changed pixels are grouped into regions on a grid of this many pixels
+const REGION_CELL_SIZE = 16;
+
+/**
+ * Compares two images pixel by pixel, aligned at the top left. Where the images differ in size,
+ * the pixels only one of them has count as changed.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} before
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} after
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] 0..255, largest per-channel difference ignored
+ * @returns {{width: number, height: number, mask: Uint8Array, changed: number, total: number, percent: number}}
+ *   `mask` has one entry per pixel of the combined size, 1 where the pixel changed
+ */
+function diffImages(before, after, { tolerance = DEFAULT_DIFF_TOLERANCE } = {}) {
+    const width = Math.max(before.width, after.width);
+    const height = Math.max(before.height, after.height);
+    const mask = new Uint8Array(width * height);
+    let changed = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inBefore = x < before.width && y < before.height;
+            const inAfter = x < after.width && y < after.height;
+            let isChanged = inBefore !== inAfter;
+            if (inBefore && inAfter) {
+                const i = (y * before.width + x) * 4;
+                const j = (y * after.width + x) * 4;
+                for (let c = 0; c < 4; c++) {
+                    if (Math.abs(before.data[i + c] - after.data[j + c]) > tolerance) {
+                        isChanged = true;
+                        break;
+                    }
+                }
+            }
+            if (isChanged) {
+                mask[y * width + x] = 1;
+                changed++;
+            }
+        }
+    }
+
+    const total = width * height;
+    return { width, height, mask, changed, total, percent: total ? (changed / total) * 100 : 0 };
+}
+
+/**
+ * Groups changed pixels into rectangles: the mask is divided into cells, and touching cells
+ * (including diagonally) with a change are merged.
+ * @param {Uint8Array} mask From diffImages()
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [cellSize]
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} In pixels
+ */
+function findChangedRegions(mask, width, height, cellSize = REGION_CELL_SIZE) {
+    const cols = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const cells = new Uint8Array(cols * rows);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[y * width + x]) {
+                cells[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)] = 1;
+            }
+        }
+    }
+
+    const regions = [];
+    const seen = new Uint8Array(cols * rows);
+    for (let start = 0; start < cells.length; start++) {
+        if (!cells[start] || seen[start]) continue;
+
+        let minCol = cols;
+        let minRow = rows;
+        let maxCol = 0;
+        let maxRow = 0;
+        const stack = [start];
+        seen[start] = 1;
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            const col = cell % cols;
+            const row = Math.floor(cell / cols);
+            minCol = Math.min(minCol, col);
+            maxCol = Math.max(maxCol, col);
+            minRow = Math.min(minRow, row);
+            maxRow = Math.max(maxRow, row);
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const c = col + dx;
+                    const r = row + dy;
+                    if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+                    const next = r * cols + c;
+                    if (cells[next] && !seen[next]) {
+                        seen[next] = 1;
+                        stack.push(next);
+                    }
+                }
+            }
+        }
+
+        const x = minCol * cellSize;
+        const y = minRow * cellSize;
+        regions.push({
+            x,
+            y,
+            width: Math.min((maxCol + 1) * cellSize, width) - x,
+            height: Math.min((maxRow + 1) * cellSize, height) - y
+        });
+    }
+    return regions;
+}
+
+/**
+ * Builds the "highlight" picture: the new image faded to light grey, changed pixels in solid red.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} after Same size as the diff
+ * @param {Uint8Array} mask From diffImages()
+ * @returns {Uint8ClampedArray} RGBA data, same size as `after`
+ */
+function buildHighlightImage(after, mask) {
+    const output = new Uint8ClampedArray(after.width * after.height * 4);
+    for (let p = 0; p < mask.length; p++) {
+        const i = p * 4;
+        if (mask[p]) {
+            output[i] = 255;
+            output[i + 1] = 0;
+            output[i + 2] = 0;
+        } else {
+            const grey = 0.299 * after.data[i] + 0.587 * after.data[i + 1] + 0.114 * after.data[i + 2];
+            const faded = 255 - (255 - grey) * 0.3;
+            output[i] = faded;
+            output[i + 1] = faded;
+            output[i + 2] = faded;
+        }
+        output[i + 3] = 255;
+    }
+    return output;
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_DIFF_TOLERANCE,
+        diffImages,
+        findChangedRegions,
+        buildHighlightImage
+    };
+}
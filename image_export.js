@@ -0,0 +1,146 @@
+// image_export.js
+// Encodes the result for download: PNG, JPEG or WebP, optionally downscaled to 1x
+// and, for the lossy formats, searched for the best quality that fits a size limit.
+// Used by the result page and the background worker, so canvases may be OffscreenCanvas.
+
+const EXPORT_FORMATS = {
+    png: { mimeType: 'image/png', extension: 'png', lossy: false },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+    webp: { mimeType: 'image/webp', extension: 'webp', lossy: true }
+};
+
+// Lowest quality the size search will go down to; below this images fall apart
+const MIN_QUALITY = 0.1;
+// Binary search steps: enough to pin quality down to about 1%
+const QUALITY_SEARCH_STEPS = 7;
+
+/**
+ * Finds the highest quality whose encoding is at most `maxBytes`.
+ * @param {function(number): Promise<Blob>} encode Encodes at a quality between 0 and 1
+ * @param {number} maxBytes
+ * @param {number} maxQuality Never go above this quality
+ * @returns {Promise<{blob: Blob, quality: number, fits: boolean}>} The smallest encoding
+ *   (MIN_QUALITY) with `fits: false` if nothing fits
+ */
+async function findQualityForSize(encode, maxBytes, maxQuality = 1) {
+    const best = await encode(maxQuality);
+    if (best.size <= maxBytes) {
+        return { blob: best, quality: maxQuality, fits: true };
+    }
+
+    let low = MIN_QUALITY;
+    let high = maxQuality;
+    let found = null;
+    for (let i = 0; i < QUALITY_SEARCH_STEPS; i++) {
+        const quality = Math.round(((low + high) / 2) * 100) / 100;
+        const blob = await encode(quality);
+        if (blob.size <= maxBytes) {
+            found = { blob, quality, fits: true };
+            low = quality;
+        } else {
+            high = quality;
+        }
+    }
+    if (found) return found;
+
+    const smallest = await encode(MIN_QUALITY);
+    return { blob: smallest, quality: MIN_QUALITY, fits: smallest.size <= maxBytes };
+}
+
+// Pixel size after scaling, never below 1x1
+function getOutputSize(width, height, scale) {
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/**
+ * Encodes a canvas for download.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {Object} options
+ * @param {'png'|'jpeg'|'webp'} options.format
+ * @param {number} options.quality 0..1, lossy formats only (the upper bound when searching for a size)
+ * @param {number} [options.maxBytes] Size target, lossy formats only (0 = none)
+ * @param {number} [options.scale] 1 = full resolution, 0.5 = half width and height
+ * @returns {Promise<{blob: Blob, extension: string, quality: number|null, fits: boolean}>}
+ */
+async function exportCanvas(canvas, { format, quality, maxBytes = 0, scale = 1 }) {
+    const { mimeType, extension, lossy } = EXPORT_FORMATS[format] || EXPORT_FORMATS.png;
+
+    let source = canvas;
+    if (scale < 1) {
+        source = downscaleCanvas(canvas, scale);
+    }
+    // WebP keeps transparency
+    if (format === 'jpeg') {
+        source = flattenOnWhite(source);
+    }
+
+    if (!lossy) {
+        return { blob: await canvasToBlob(source, mimeType), extension, quality: null, fits: true };
+    }
+
+    const encode = (q) => canvasToBlob(source, mimeType, q);
+    if (maxBytes > 0) {
+        const result = await findQualityForSize(encode, maxBytes, quality);
+        return { ...result, extension };
+    }
+    return { blob: await encode(quality), extension, quality, fits: true };
+}
+
+function downscaleCanvas(source, scale) {
+    const size = getOutputSize(source.width, source.height, scale);
+    const output = createCanvas(size.width, size.height);
+    const ctx = output.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, output.width, output.height);
+    return output;
+}
+
+/**
+ * Copies a canvas, or the `area` of it, onto white. JPEG has no alpha, so transparent
+ * pixels would otherwise come out black.
+ * @param {CanvasImageSource} source
+ * @param {{x: number, y: number, width: number, height: number}} [area] Defaults to all of `source`
+ */
+function flattenOnWhite(source, area = { x: 0, y: 0, width: source.width, height: source.height }) {
+    const output = createCanvas(area.width, area.height);
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, output.width, output.height);
+    ctx.drawImage(source, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
+    return output;
+}
+
+// OffscreenCanvas where there is one: the background worker has no DOM
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas to Blob failed'))), type, quality);
+    });
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_FORMATS,
+        MIN_QUALITY,
+        findQualityForSize,
+        getOutputSize,
+        exportCanvas,
+        flattenOnWhite
+    };
+}
@@ -0,0 +1,12 @@
+// offscreen.js
+// Offscreen document for the background worker, which has no URL.createObjectURL:
+// turns the blobs it posts into blob URLs for chrome.downloads (see createBlobUrl() in downloads.js).
+
+navigator.serviceWorker.onmessage = (event) => {
+    const message = event.data;
+    if (message.action === 'CREATE_BLOB_URL') {
+        event.ports[0].postMessage(URL.createObjectURL(message.blob));
+    } else if (message.action === 'REVOKE_BLOB_URL') {
+        URL.revokeObjectURL(message.url);
+    }
+};
@@ -0,0 +1,145 @@
+// options.js
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const statusSpan = document.getElementById('status');
+    const scopeSelect = document.getElementById('scope');
+    const newSiteInput = document.getElementById('newSite');
+    const removeSiteBtn = document.getElementById('removeSite');
+    // Every form field is bound to a settings path via data-setting="section.key"
+    const fields = document.querySelectorAll('[data-setting]');
+    const globalSections = document.querySelectorAll('section[data-global]');
+
+    function showStatus(msg, isError) {
+        statusSpan.textContent = msg;
+        statusSpan.className = isError ? 'error' : '';
+    }
+
+    let settings = await loadSettings();
+    const sites = await loadSiteOverrides();
+
+    // The values the form shows: the settings for all sites, or with the selected site's overrides applied
+    function currentValues() {
+        const site = scopeSelect.value;
+        return site ? getEffectiveSettings(settings, sites, site) : settings;
+    }
+
+    function renderScopes() {
+        const selected = scopeSelect.value;
+        scopeSelect.length = 1; // Keep "All sites"
+        Object.keys(sites).sort().forEach(site => scopeSelect.add(new Option(site, site)));
+        scopeSelect.value = selected in sites ? selected : '';
+    }
+
+    function renderFields() {
+        const values = currentValues();
+        const isSite = Boolean(scopeSelect.value);
+        fields.forEach(field => writeField(field, getByPath(values, field.dataset.setting)));
+        globalSections.forEach(section => {
+            section.classList.toggle('disabled', isSite);
+            section.querySelectorAll('[data-setting]').forEach(field => {
+                field.disabled = isSite;
+            });
+        });
+        removeSiteBtn.hidden = !isSite;
+    }
+
+    renderScopes();
+    renderFields();
+
+    scopeSelect.addEventListener('change', () => {
+        renderFields();
+        showStatus('');
+    });
+
+    document.getElementById('addSite').addEventListener('click', () => {
+        const site = normalizeHostname(newSiteInput.value);
+        if (!/^[a-z0-9.-]+(:\d+)?$/.test(site)) {
+            showStatus('Enter a hostname such as example.com.', true);
+            return;
+        }
+        // The site starts out without overrides; it is stored once something is changed and saved
+        if (!(site in sites)) {
+            scopeSelect.add(new Option(site, site));
+        }
+        scopeSelect.value = site;
+        newSiteInput.value = '';
+        renderFields();
+        showStatus('');
+    });
+
+    removeSiteBtn.addEventListener('click', async () => {
+        const site = scopeSelect.value;
+        if (!confirm(`Remove the settings for ${site}?`)) return;
+        delete sites[site];
+        await removeSiteOverride(site);
+        scopeSelect.value = '';
+        renderScopes();
+        renderFields();
+        showStatus('Removed.');
+    });
+
+    // The MHTML copy needs the "pageCapture" permission; the text is saved without it
+    document.getElementById('savePage').addEventListener('change', async (e) => {
+        if (!e.target.checked) return;
+        const granted = await chrome.permissions.request({ permissions: ['pageCapture'] });
+        showStatus(granted ? '' : 'Without the permission only the page text is saved.');
+    });
+
+    document.getElementById('saveBtn').addEventListener('click', async () => {
+        const site = scopeSelect.value;
+        const values = structuredClone(currentValues());
+        fields.forEach(field => {
+            if (!field.disabled) setByPath(values, field.dataset.setting, readField(field));
+        });
+
+        const error = validateSettings(values);
+        if (error) {
+            showStatus(error, true);
+            return;
+        }
+
+        try {
+            if (site) {
+                sites[site] = diffSettings(settings, values);
+                await saveSiteOverride(site, sites[site]);
+            } else {
+                settings = values;
+                await saveSettings(settings);
+            }
+            showStatus('Saved.');
+        } catch (e) {
+            console.error('Error saving settings:', e);
+            showStatus('Error: ' + e.message, true);
+        }
+    });
+});
+
+function readField(field) {
+    if (field.type === 'checkbox') return field.checked;
+    if (field.type === 'number') return Number(field.value);
+    if (field.hasAttribute('data-list')) {
+        return field.value.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+    return field.value;
+}
+
+function writeField(field, value) {
+    if (field.type === 'checkbox') {
+        field.checked = Boolean(value);
+    } else if (field.hasAttribute('data-list')) {
+        field.value = (value || []).join('\n');
+    } else {
+        field.value = value;
+    }
+}
+
+function getByPath(obj, path) {
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), obj);
+}
+
+function setByPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((value, key) => value[key], obj);
+    target[last] = value;
+}
@@ -0,0 +1,144 @@
+// page_archive.js
+// The page kept alongside a capture when "Save the page with each capture" is on: its text and links
+// placed over the image, and an MHTML copy (chrome.pageCapture). Both are bundled with the image
+// parts into a ZIP whose HTML file shows the image with a selectable, searchable text layer.
+// Loaded by the background worker (via importScripts) and the result and batch pages.
+
+// Only links that open something; javascript: and the like are dropped
+const SAFE_LINK = /^(https?|mailto|ftp):/i;
+// Font size of a text run relative to the height of its line box
+const FONT_SIZE_RATIO = 0.8;
+
+/**
+ * Moves text runs and links from page coordinates into image coordinates (CSS px), rounded to
+ * whole pixels, and drops the ones outside the image.
+ * @param {{runs: Array<{x: number, y: number, width: number, height: number, text: string}>,
+ *   links: Array<{x: number, y: number, width: number, height: number, href: string}>}} collected
+ *   From the content script (COLLECT_TEXT)
+ * @param {{x: number, y: number}} origin Page position of the image's top-left corner
+ * @param {{width: number, height: number}} size Image size in CSS px
+ * @returns {{width: number, height: number, runs: Array, links: Array}}
+ */
+function placeTextLayer(collected, origin, size) {
+    const place = (box) => ({
+        x: Math.round(box.x - origin.x),
+        y: Math.round(box.y - origin.y),
+        width: Math.round(box.width),
+        height: Math.round(box.height)
+    });
+    const inside = (box) => box.width > 0 && box.height > 0 &&
+        box.x + box.width > 0 && box.y + box.height > 0 && box.x < size.width && box.y < size.height;
+
+    return {
+        width: Math.round(size.width),
+        height: Math.round(size.height),
+        runs: collected.runs.map(run => ({ ...place(run), text: run.text })).filter(inside),
+        links: collected.links
+            .filter(link => SAFE_LINK.test(link.href))
+            .map(link => ({ ...place(link), href: link.href }))
+            .filter(inside)
+    };
+}
+
+/**
+ * Files for a capture's page in a ZIP, named after `base`: a searchable HTML page showing the
+ * image parts under the text layer, the text layer as JSON and the MHTML copy if there is one.
+ * @param {string} base File name without extension
+ * @param {{url: string, title: string, timestamp: number}} record The capture
+ * @param {string[]} imageNames The image parts in the ZIP, top to bottom
+ * @param {Object|null} textLayer From placeTextLayer()
+ * @param {Uint8Array|Blob|null} mhtml
+ * @returns {Array<{name: string, data: Uint8Array|Blob}>}
+ */
+function buildPageFiles(base, record, imageNames, textLayer, mhtml) {
+    const encoder = new TextEncoder();
+    const files = [];
+    if (textLayer) {
+        files.push({ name: `${base}.html`, data: encoder.encode(buildSearchableHtml(record, imageNames, textLayer, mhtml ? `${base}.mhtml` : null)) });
+        files.push({ name: `${base}-text.json`, data: encoder.encode(JSON.stringify(textLayer)) });
+    }
+    if (mhtml) {
+        files.push({ name: `${base}.mhtml`, data: mhtml });
+    }
+    return files;
+}
+
+/**
+ * ZIP entries for a stored capture named after `base`: its image parts (`base.png`, or `base-part1.png`...)
+ * and the page files if the page was saved with it. Needs history_store.js, capture_metadata.js and
+ * zip_writer.js. Images and the MHTML copy stay Blobs (see blobEntry()).
+ * @param {Object} record History record
+ * @param {string} base File name without extension
+ * @param {boolean} embedMetadata Add the capture details to the images (see capture_metadata.js)
+ * @returns {Promise<Array<{name: string, data: Uint8Array|Blob, crc?: number, date: Date}>>}
+ */
+async function getCaptureFiles(record, base, embedMetadata) {
+    const date = new Date(record.timestamp);
+    const blobs = await getCaptureImages(record.id);
+    const imageNames = blobs.map((blob, part) => `${base}${blobs.length > 1 ? `-part${part + 1}` : ''}.png`);
+    const files = [];
+    for (const [part, blob] of blobs.entries()) {
+        const file = embedMetadata ? await addImageMetadata(blob, record) : blob;
+        files.push(await blobEntry(imageNames[part], file, date));
+    }
+
+    const page = record.page ? await getCapturePage(record.id) : null;
+    if (page) {
+        for (const file of buildPageFiles(base, record, imageNames, page.textLayer, page.mhtml || null)) {
+            files.push(file.data instanceof Blob ? await blobEntry(file.name, file.data, date) : { ...file, date });
+        }
+    }
+    return files;
+}
+
+function buildSearchableHtml(record, imageNames, textLayer, mhtmlName) {
+    const box = ({ x, y, width, height }) => `left:${x}px;top:${y}px;width:${width}px;height:${height}px`;
+    const runs = textLayer.runs.map(run =>
+        `<span style="${box(run)};font-size:${Math.max(1, Math.round(run.height * FONT_SIZE_RATIO))}px">${escapeHtml(run.text)}</span>`);
+    const links = textLayer.links.map(link =>
+        `<a href="${escapeHtml(link.href)}" style="${box(link)}" title="${escapeHtml(link.href)}"></a>`);
+    const images = imageNames.map(name => `<img src="${escapeHtml(name)}" alt="">`);
+    const source = [
+        `<a href="${escapeHtml(record.url)}">${escapeHtml(record.url)}</a>`,
+        escapeHtml(new Date(record.timestamp).toISOString()),
+        mhtmlName ? `<a href="${escapeHtml(mhtmlName)}">saved page (MHTML)</a>` : ''
+    ].filter(Boolean).join(' · ');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(record.title || record.url)}</title>
+<style>
+body { margin: 0; background: #f1f3f4; font-family: sans-serif; }
+header { padding: 8px 12px; font-size: 13px; color: #5f6368; }
+.page { position: relative; width: ${textLayer.width}px; background: #fff; }
+.page img { display: block; width: 100%; }
+.page span { position: absolute; color: transparent; white-space: pre; line-height: 1; overflow: hidden; }
+.page span::selection { background: rgba(26, 115, 232, 0.35); }
+.page a { position: absolute; }
+</style>
+</head>
+<body>
+<header>${source}</header>
+<div class="page">
+${images.join('\n')}
+${runs.join('\n')}
+${links.join('\n')}
+</div>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        placeTextLayer,
+        buildPageFiles
+    };
+}
@@ -0,0 +1,29 @@
+// page_growth.js
+// Pages that get taller while they are captured (lazy loading, infinite feeds): how far a
+// full-page capture follows them. Loaded by the background worker (via importScripts).
+
+// How far down a full-page capture follows a page that keeps growing (infinite feeds)
+function getMaxBottom(fullHeight, visibleHeight, { maxExtraScreens, maxExtraPixels }) {
+    const limits = [];
+    if (maxExtraScreens > 0) limits.push(maxExtraScreens * visibleHeight);
+    if (maxExtraPixels > 0) limits.push(maxExtraPixels);
+    return limits.length ? fullHeight + Math.min(...limits) : Infinity;
+}
+
+// Extends the scroll range when the page got taller. Progress is measured against the
+// grown range, so the bar slows down instead of overshooting.
+function followPageGrowth(state, fullHeight) {
+    const bottom = Math.min(fullHeight, state.maxBottom);
+    if (bottom > state.bounds.bottom) {
+        state.bounds.bottom = bottom;
+        state.fullHeight = fullHeight;
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getMaxBottom,
+        followPageGrowth
+    };
+}
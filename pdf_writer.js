@@ -0,0 +1,178 @@
+// pdf_writer.js
+// Minimal, dependency-free PDF writer used by the result page.
+// Each page holds one JPEG image (embedded as-is with /DCTDecode), which is
+// all we need to turn a stitched screenshot into a multi-page document offline.
+
+// Paper sizes in PDF points (1/72 inch), portrait orientation
+const PAPER_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 }
+};
+
+const POINTS_PER_MM = 72 / 25.4;
+
+/**
+ * Returns the page size in points for a paper name and orientation.
+ */
+function getPageSize(paper, orientation) {
+    const size = PAPER_SIZES[paper] || PAPER_SIZES.a4;
+    if (orientation === 'landscape') {
+        return { width: size.height, height: size.width };
+    }
+    return { width: size.width, height: size.height };
+}
+
+/**
+ * Splits `totalHeight` pixel rows into page slices no taller than `pageHeight`.
+ * Each break is moved up by at most `searchRange` rows to the nearest row that
+ * `isQuietRow(y)` reports as empty, so lines of text are not cut in half.
+ * If no quiet row is found, the page is cut at its full height.
+ */
+function computePageSlices(totalHeight, pageHeight, isQuietRow, searchRange) {
+    const slices = [];
+    const maxPageHeight = Math.max(1, Math.floor(pageHeight));
+    const range = Math.min(searchRange || 0, Math.floor(maxPageHeight / 2));
+    let y = 0;
+
+    while (y < totalHeight) {
+        let end = Math.min(y + maxPageHeight, totalHeight);
+
+        if (end < totalHeight && isQuietRow) {
+            for (let candidate = end; candidate > end - range; candidate--) {
+                if (isQuietRow(candidate)) {
+                    end = candidate;
+                    break;
+                }
+            }
+        }
+
+        slices.push({ y: y, height: end - y });
+        y = end;
+    }
+
+    return slices;
+}
+
+/**
+ * Checks whether a row of RGBA pixels is (almost) a single color,
+ * i.e. it does not cross any text or image content.
+ */
+function isUniformRow(data, tolerance = 8) {
+    const r = data[0];
+    const g = data[1];
+    const b = data[2];
+    for (let i = 4; i < data.length; i += 4) {
+        if (Math.abs(data[i] - r) > tolerance ||
+            Math.abs(data[i + 1] - g) > tolerance ||
+            Math.abs(data[i + 2] - b) > tolerance) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Builds a PDF file.
+ * @param {Array<{jpeg: Uint8Array, pixelWidth: number, pixelHeight: number}>} pages
+ *        One JPEG per page, drawn at the top-left of the printable area.
+ * @param {{pageWidth: number, pageHeight: number, margin: number}} layout
+ *        Page size and margin in points. Images are scaled to the printable width.
+ * @returns {Uint8Array}
+ */
+function buildPdf(pages, layout) {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    function write(data) {
+        const bytes = typeof data === 'string' ? asciiBytes(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    }
+
+    function beginObject(id) {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+    }
+
+    // Object ids: 1 = catalog, 2 = page tree, then 3 per page (page, image, content)
+    const pageIds = pages.map((page, index) => 3 + index * 3);
+    const printableWidth = layout.pageWidth - layout.margin * 2;
+
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // Binary marker comment
+
+    beginObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    beginObject(2);
+    write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+    pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const imageId = pageId + 1;
+        const contentId = pageId + 2;
+
+        const drawWidth = printableWidth;
+        const drawHeight = page.pixelHeight * (printableWidth / page.pixelWidth);
+        const drawX = layout.margin;
+        const drawY = layout.pageHeight - layout.margin - drawHeight;
+
+        beginObject(pageId);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(layout.pageWidth)} ${num(layout.pageHeight)}] ` +
+            `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`);
+
+        beginObject(imageId);
+        write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+        write(page.jpeg);
+        write('\nendstream\nendobj\n');
+
+        const content = `q ${num(drawWidth)} 0 0 ${num(drawHeight)} ${num(drawX)} ${num(drawY)} cm /Im0 Do Q`;
+        beginObject(contentId);
+        write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+    });
+
+    // Cross-reference table: one 20-byte entry per object
+    const objectCount = 3 + pages.length * 3;
+    const xrefOffset = length;
+    let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objectCount; id++) {
+        xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    write(xref);
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    const output = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, position);
+        position += chunk.length;
+    });
+    return output;
+}
+
+function asciiBytes(str) {
+    const bytes = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) {
+        bytes[i] = str.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
+
+// Format a number for PDF operators (no exponent notation, 2 decimals max)
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAPER_SIZES,
+        POINTS_PER_MM,
+        getPageSize,
+        computePageSlices,
+        isUniformRow,
+        buildPdf
+    };
+}
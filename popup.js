@@ -1,12 +1,149 @@
-document.getElementById('captureBtn').addEventListener('click', () => {
-  const statusDiv = document.getElementById('status');
+const statusDiv = document.getElementById('status');
+
+// Status shown once the capture has been requested, per mode
+const PENDING_TEXT = {
+  full: 'Capturing...',
+  visible: 'Capturing...',
+  element: 'Click an element on the page...',
+  region: 'Drag to select an area on the page...'
+};
+
+function startCapture(mode) {
   statusDiv.textContent = 'Initializing...';
-  
-  chrome.runtime.sendMessage({ action: 'START_CAPTURE' }, (response) => {
+
+  chrome.runtime.sendMessage({ action: 'START_CAPTURE', mode: mode }, (response) => {
     if (chrome.runtime.lastError) {
       statusDiv.textContent = 'Error: ' + chrome.runtime.lastError.message;
     } else {
-      statusDiv.textContent = 'Capturing...';
+      statusDiv.textContent = PENDING_TEXT[mode];
     }
   });
+}
+
+document.querySelectorAll('[data-mode]').forEach(btn => {
+  btn.addEventListener('click', () => startCapture(btn.dataset.mode));
+});
+
+// Show the keyboard shortcut bound to each mode (users can rebind them in chrome://extensions/shortcuts)
+chrome.commands.getAll((commands) => {
+  commands.forEach(command => {
+    const btn = document.querySelector(`[data-command="${command.name}"]`);
+    if (btn && command.shortcut) {
+      const hint = document.createElement('span');
+      hint.className = 'shortcut';
+      hint.textContent = command.shortcut;
+      btn.appendChild(hint);
+    }
+  });
+});
+
+// --- Live progress for the active tab ---
+
+const progressDiv = document.getElementById('progress');
+const progressFill = document.getElementById('progressFill');
+let activeTabId = null;
+
+function showProgress(percent) {
+  progressDiv.hidden = false;
+  progressFill.style.width = percent + '%';
+  statusDiv.textContent = `Capturing... ${percent}%`;
+}
+
+function hideProgress(text) {
+  progressDiv.hidden = true;
+  statusDiv.textContent = text;
+}
+
+chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+  if (!tabs[0]) return;
+  activeTabId = tabs[0].id;
+  chrome.runtime.sendMessage({ action: 'GET_CAPTURE_STATUS', tabId: activeTabId }, (response) => {
+    if (response && response.active) {
+      showProgress(response.percent);
+    }
+  });
+});
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action !== 'CAPTURE_STATUS' || message.tabId !== activeTabId) return;
+  if (message.status === 'capturing') {
+    showProgress(message.percent);
+  } else if (message.status === 'done') {
+    hideProgress(message.message || 'Done.');
+  } else if (message.status === 'aborted') {
+    hideProgress(message.message || 'Capture stopped.');
+  }
+});
+
+document.getElementById('stopBtn').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'CANCEL_CAPTURE', tabId: activeTabId, keepPartial: true });
+  statusDiv.textContent = 'Stopping...';
+});
+
+document.getElementById('cancelBtn').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'CANCEL_CAPTURE', tabId: activeTabId });
+  statusDiv.textContent = 'Cancelling...';
+});
+
+// --- Device sizes: one full-page capture per selected width (see device_emulation.js) ---
+
+const DEVICE_SELECTION_KEY = 'deviceSelection';
+const deviceList = document.getElementById('deviceList');
+const customWidthInput = document.getElementById('customWidth');
+
+Object.entries(DEVICE_PRESETS).forEach(([name, preset]) => {
+  const label = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.name = 'device';
+  checkbox.value = name;
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(` ${preset.label} (${preset.width}px)`));
+  deviceList.appendChild(label);
+});
+
+// The last selection is remembered
+chrome.storage.local.get(DEVICE_SELECTION_KEY, (data) => {
+  const saved = data[DEVICE_SELECTION_KEY];
+  if (!saved) return;
+  document.querySelectorAll('input[name="device"]').forEach(checkbox => {
+    checkbox.checked = saved.names.includes(checkbox.value);
+  });
+  customWidthInput.value = saved.customWidth;
+});
+
+document.getElementById('deviceCaptureBtn').addEventListener('click', async () => {
+  const names = Array.from(document.querySelectorAll('input[name="device"]:checked'), checkbox => checkbox.value);
+  if (names.length === 0) {
+    statusDiv.textContent = 'Pick at least one device size.';
+    return;
+  }
+  const customWidth = Number(customWidthInput.value);
+  chrome.storage.local.set({ [DEVICE_SELECTION_KEY]: { names, customWidth } });
+
+  // Emulating a device needs the debugger; Chrome shows a bar while it is attached
+  const granted = await chrome.permissions.request({ permissions: ['debugger'] });
+  if (!granted) {
+    statusDiv.textContent = 'Device sizes need the "debugger" permission.';
+    return;
+  }
+
+  const devices = names.map(name => ({ name, width: customWidth }));
+  const response = await chrome.runtime.sendMessage({ action: 'START_DEVICE_CAPTURE', tabId: activeTabId, devices });
+  statusDiv.textContent = response && response.error ? response.error : 'Capturing device sizes...';
+});
+
+document.getElementById('batchLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: 'batch.html' });
+});
+
+document.getElementById('historyLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: 'history.html' });
+});
+
+document.getElementById('settingsLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
 });
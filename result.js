@@ -3,8 +3,14 @@
 document.addEventListener('DOMContentLoaded', async () => {
     const statusDiv = document.getElementById('status');
     const canvas = document.getElementById('resultCanvas');
-    const ctx = canvas.getContext('2d');
-    const downloadBtn = document.getElementById('downloadPng');
+    const downloadBtn = document.getElementById('downloadImage');
+    const downloadPdfBtn = document.getElementById('downloadPdf');
+    const copyBtn = document.getElementById('copyImage');
+    const shareBtn = document.getElementById('shareImage');
+    const downloadAllBtn = document.getElementById('downloadAllParts');
+    const downloadArchiveBtn = document.getElementById('downloadArchive');
+    const partSelect = document.getElementById('partSelect');
+    const captureId = new URLSearchParams(window.location.search).get('id');
 
     function updateStatus(msg) {
         console.log(msg);
@@ -12,95 +18,165 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     try {
-        updateStatus('Loading captured data...');
-        const data = await chrome.storage.local.get('capturedData');
-        const state = data.capturedData;
-
-        if (!state || !state.images || state.images.length === 0) {
+        // The background worker stitched the capture into the history store (see stitcher.js)
+        updateStatus('Loading capture...');
+        const record = captureId ? await getCapture(captureId) : null;
+        if (!record) {
             updateStatus('No data found in storage.');
             return;
         }
 
-        updateStatus(`Found ${state.images.length} images. Processing...`);
+        const partCount = record.parts || 1;
+        let currentPart = 0;
+        await drawBlob(canvas, await getCaptureImage(captureId, currentPart));
+        showCaptureInfo(record);
 
-        // Calculate dimensions
-        const scale = state.devicePixelRatio || 1;
-        const overlap = state.overlap || 0;
+        updateStatus('Done!');
+        statusDiv.style.display = 'none';
 
-        // Load all images
-        updateStatus('Loading images...');
-        const loadedImages = await Promise.all(state.images.map((img, index) => {
-            updateStatus(`Loading image ${index + 1}/${state.images.length}...`);
-            return loadImage(img.dataUrl, img.y);
-        }));
+        const annotator = setupAnnotator(canvas);
+        const { output } = await loadSettings(getHostname(record.url));
+        const exportOptions = setupExportOptions(record, output, () => annotator.flatten());
+        // Compares the capture without annotations
+        const compare = setupCompare(record, canvas, () => currentPart);
 
-        if (loadedImages.length === 0) {
-            updateStatus('Failed to load images.');
-            return;
+        function partSuffix() {
+            return partCount > 1 ? `-part${currentPart + 1}` : '';
         }
 
-        updateStatus('Stitching images...');
-        const width = loadedImages[0].img.width;
-
-        // Calculate total height
-        const lastImg = loadedImages[loadedImages.length - 1];
-        // Total height calculation:
-        // The last image is placed at lastImg.y (logical) * scale.
-        // It has height lastImg.img.height (physical).
-        // So total canvas height is (lastImg.y * scale) + lastImg.img.height.
-        const totalHeight = (lastImg.y * scale) + lastImg.img.height;
-
-        canvas.width = width;
-        canvas.height = totalHeight;
-
-        // Draw images
-        loadedImages.forEach((item, index) => {
-            const img = item.img;
-            const drawY = item.y * scale;
-
-            if (index === 0) {
-                // First image: draw full
-                ctx.drawImage(img, 0, drawY);
-            } else {
-                // Subsequent images: crop top 'overlap' pixels
-                const cropY = overlap * scale; // Amount to crop from top of source image
-                const cropHeight = img.height - cropY;
-
-                if (cropHeight > 0) {
-                    ctx.drawImage(
-                        img,
-                        0, cropY, img.width, cropHeight, // Source: skip top 'cropY'
-                        0, drawY + cropY, img.width, cropHeight // Dest: place at drawY + cropY
-                    );
+        // Captures taller than the canvas limit come in numbered parts: one is edited at a time
+        if (partCount > 1) {
+            for (let part = 0; part < partCount; part++) {
+                const option = document.createElement('option');
+                option.value = part;
+                option.textContent = `Part ${part + 1} of ${partCount}`;
+                partSelect.appendChild(option);
+            }
+            partSelect.hidden = false;
+            downloadAllBtn.hidden = false;
+
+            partSelect.addEventListener('change', async () => {
+                if (annotator.hasAnnotations() && !confirm('Switching parts discards the annotations on this part. Continue?')) {
+                    partSelect.value = currentPart;
+                    return;
                 }
+                currentPart = Number(partSelect.value);
+                await drawBlob(canvas, await getCaptureImage(captureId, currentPart));
+                annotator.clear();
+                annotator.resize();
+                exportOptions.updateEstimate();
+                compare.refresh();
+            });
+
+            // Parts other than the one on screen are exported straight from the history store
+            downloadAllBtn.addEventListener('click', async () => {
+                downloadAllBtn.disabled = true;
+                try {
+                    const options = exportOptions.read();
+                    const partCanvas = document.createElement('canvas');
+                    for (let part = 0; part < partCount; part++) {
+                        const source = part === currentPart ? annotator.flatten() : partCanvas;
+                        if (part !== currentPart) {
+                            await drawBlob(partCanvas, await getCaptureImage(captureId, part));
+                        }
+                        const result = await exportCanvas(source, options);
+                        await saveCaptureFile(result.blob, result.extension, record, { suffix: `-part${part + 1}` });
+                    }
+                } catch (e) {
+                    console.error('Export failed:', e);
+                    alert('Failed to export the parts: ' + e.message);
+                } finally {
+                    downloadAllBtn.disabled = false;
+                }
+            });
+        }
+
+        downloadBtn.addEventListener('click', async () => {
+            downloadBtn.disabled = true;
+            try {
+                const result = await exportCanvas(annotator.flatten(), exportOptions.read());
+                if (!result.fits && !confirm(`Even the lowest quality is ${formatBytes(result.blob.size)}, above the size limit. Download anyway?`)) {
+                    return;
+                }
+                await saveCaptureFile(result.blob, result.extension, record, { suffix: partSuffix() });
+            } catch (e) {
+                console.error('Export failed:', e);
+                alert('Failed to create image file: ' + e.message);
+            } finally {
+                downloadBtn.disabled = false;
             }
         });
 
-        updateStatus('Done!');
-        statusDiv.style.display = 'none';
+        // The page saved with the capture, zipped with the captured image (without annotations)
+        if (record.page) {
+            downloadArchiveBtn.hidden = false;
+            downloadArchiveBtn.addEventListener('click', async () => {
+                downloadArchiveBtn.disabled = true;
+                try {
+                    const files = await getCaptureFiles(record, 'page', output.embedMetadata);
+                    await saveCaptureFile(buildZip(files), 'zip', record);
+                } catch (e) {
+                    console.error('Archive failed:', e);
+                    alert('Failed to create the archive: ' + e.message);
+                } finally {
+                    downloadArchiveBtn.disabled = false;
+                }
+            });
+        }
 
-        downloadBtn.addEventListener('click', () => {
-            canvas.toBlob((blob) => {
-                if (!blob) {
-                    console.error('Canvas to Blob failed');
-                    alert('Failed to create image file.');
-                    return;
+        copyBtn.addEventListener('click', async () => {
+            copyBtn.disabled = true;
+            try {
+                let source = annotator.flatten();
+                const pixels = source.width * source.height;
+                if (pixels > MAX_CLIPBOARD_PIXELS) {
+                    source = downscaleCanvas(source, Math.sqrt(MAX_CLIPBOARD_PIXELS / pixels));
+                    alert(`The image is too large for the clipboard, so a ${source.width}×${source.height} copy was used. ` +
+                        'Download the image for full resolution.');
                 }
-                const url = URL.createObjectURL(blob);
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                const filename = `screenshot-${timestamp}.png`;
-
-                chrome.downloads.download({
-                    url: url,
-                    filename: filename,
-                    saveAs: true
-                }, (downloadId) => {
-                    if (chrome.runtime.lastError) {
-                        console.error('Download failed:', chrome.runtime.lastError);
-                        alert('Download failed: ' + chrome.runtime.lastError.message);
+                await copyBlobToClipboard(await canvasToBlob(source, 'image/png'));
+                flashButton(copyBtn, 'Copied!');
+            } catch (e) {
+                console.error('Copy failed:', e);
+                alert('Could not copy the image: ' + e.message + '\nUse Download instead.');
+            } finally {
+                copyBtn.disabled = false;
+            }
+        });
+
+        // Web Share is only offered where the platform can share image files
+        const probe = new File([], 'probe.png', { type: 'image/png' });
+        if (navigator.canShare && navigator.canShare({ files: [probe] })) {
+            shareBtn.hidden = false;
+            shareBtn.addEventListener('click', async () => {
+                try {
+                    const blob = await canvasToBlob(annotator.flatten(), 'image/png');
+                    const file = new File([blob], `screenshot${partSuffix()}.png`, { type: 'image/png' });
+                    await navigator.share({ files: [file], title: record.title || 'Screenshot' });
+                } catch (e) {
+                    if (e.name !== 'AbortError') {
+                        console.error('Share failed:', e);
+                        alert('Could not share the image: ' + e.message);
                     }
+                }
+            });
+        }
+
+        downloadPdfBtn.addEventListener('click', async () => {
+            downloadPdfBtn.disabled = true;
+            try {
+                const blob = await createPdf(annotator.flatten(), {
+                    paper: document.getElementById('pdfPaper').value,
+                    orientation: document.getElementById('pdfOrientation').value,
+                    marginMm: parseFloat(document.getElementById('pdfMargin').value) || 0
                 });
-            }, 'image/png');
+                await saveCaptureFile(blob, 'pdf', record, { suffix: partSuffix() });
+            } catch (e) {
+                console.error('PDF export failed:', e);
+                alert('Failed to create PDF: ' + e.message);
+            } finally {
+                downloadPdfBtn.disabled = false;
+            }
         });
 
     } catch (err) {
@@ -109,11 +185,377 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
-function loadImage(url, y) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => resolve({ img, y });
-        img.onerror = (e) => reject(new Error(`Failed to load image at y=${y}`));
-        img.src = url;
+// One-line summary of the capture: a notice (e.g. a frame that could not be captured in full),
+// where the time went and how the tiles were lined up. Details in the console.
+function showCaptureInfo(record) {
+    const parts = [];
+    if (record.notice) {
+        parts.push(record.notice);
+    }
+    if (record.device) {
+        parts.push(`${record.device.label} layout, ${record.device.width}px wide`);
+    }
+
+    const timings = record.timings || [];
+    if (timings.length > 0) {
+        const sum = (key) => timings.reduce((total, step) => total + (Number(step[key]) || 0), 0);
+        const seconds = (ms) => (ms / 1000).toFixed(1) + 's';
+        parts.push(`${timings.length} steps settled in ${seconds(sum('total'))} ` +
+            `(images ${seconds(sum('images'))}, animations ${seconds(sum('animations'))}, ` +
+            `fonts ${seconds(sum('fonts'))}, quiet ${seconds(sum('quiet'))})`);
+        console.table(timings);
+    }
+
+    // Seam report, see stitch_align.js
+    const seams = record.seams || [];
+    if (seams.length > 0) {
+        const moved = seams.filter(seam => seam.shift !== seam.expectedShift).length;
+        const unmatched = seams.filter(seam => !seam.aligned).length;
+        parts.push(`${moved} of ${seams.length} seams realigned, ${unmatched} unmatched`);
+        console.table(seams);
+    }
+
+    document.getElementById('captureInfo').textContent = parts.join(' · ');
+}
+
+// Wires the annotation toolbar to an annotator over the result canvas (see annotator.js)
+function setupAnnotator(canvas) {
+    const overlay = document.getElementById('annotationCanvas');
+    const annotator = createAnnotator(canvas, overlay);
+    const toolButtons = document.querySelectorAll('[data-tool]');
+
+    function selectTool(name) {
+        annotator.setTool(name);
+        toolButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.tool === name));
+    }
+
+    annotator.resize();
+    selectTool('none');
+
+    toolButtons.forEach(btn => {
+        // Clicking the active tool again switches back to no tool
+        btn.addEventListener('click', () => selectTool(btn.classList.contains('active') ? 'none' : btn.dataset.tool));
+    });
+    document.getElementById('annotationColor').addEventListener('input', (e) => annotator.setColor(e.target.value));
+    document.getElementById('undoBtn').addEventListener('click', () => annotator.undo());
+    document.getElementById('redoBtn').addEventListener('click', () => annotator.redo());
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            annotator.undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            annotator.redo();
+        }
+    });
+
+    return annotator;
+}
+
+// Wires the format / quality / size controls (see image_export.js) and keeps the size estimate
+// up to date. Starts from the default format in the settings (`output`).
+// `getSource` returns the canvas that would be exported right now.
+function setupExportOptions(record, output, getSource) {
+    const formatSelect = document.getElementById('exportFormat');
+    const qualityField = document.getElementById('qualityField');
+    const qualityInput = document.getElementById('exportQuality');
+    const qualityValue = document.getElementById('qualityValue');
+    const targetField = document.getElementById('targetField');
+    const targetCheckbox = document.getElementById('exportTarget');
+    const targetInput = document.getElementById('exportTargetMb');
+    const oneXField = document.getElementById('oneXField');
+    const oneXCheckbox = document.getElementById('exportOneX');
+    const estimateSpan = document.getElementById('exportEstimate');
+    const devicePixelRatio = record.devicePixelRatio || 1;
+
+    let estimateTimer = null;
+    let estimateRun = 0;
+
+    function read() {
+        const lossy = EXPORT_FORMATS[formatSelect.value].lossy;
+        return {
+            format: formatSelect.value,
+            quality: Number(qualityInput.value) / 100,
+            maxBytes: lossy && targetCheckbox.checked ? (Number(targetInput.value) || 0) * 1024 * 1024 : 0,
+            scale: oneXCheckbox.checked ? 1 / devicePixelRatio : 1
+        };
+    }
+
+    // Encoding a long capture takes a moment, so wait until the controls stop changing
+    function updateEstimate() {
+        clearTimeout(estimateTimer);
+        estimateSpan.textContent = 'Estimating size...';
+        estimateTimer = setTimeout(async () => {
+            const run = ++estimateRun;
+            try {
+                const result = await exportCanvas(getSource(), read());
+                if (run !== estimateRun) return;
+                let text = `≈ ${formatBytes(result.blob.size)}`;
+                if (read().maxBytes) {
+                    text += result.fits ? ` at quality ${Math.round(result.quality * 100)}` : ' (cannot reach the limit)';
+                }
+                estimateSpan.textContent = text;
+            } catch (e) {
+                console.error('Size estimate failed:', e);
+                estimateSpan.textContent = '';
+            }
+        }, 400);
+    }
+
+    function updateFields() {
+        const lossy = EXPORT_FORMATS[formatSelect.value].lossy;
+        qualityField.hidden = !lossy;
+        targetField.hidden = !lossy;
+        qualityValue.textContent = qualityInput.value;
+        targetInput.disabled = !targetCheckbox.checked;
+    }
+
+    formatSelect.value = output.format;
+    qualityInput.value = output.quality;
+
+    // Downscaling to 1x only makes sense for captures taken on a high-DPI display
+    oneXField.hidden = devicePixelRatio <= 1;
+
+    [formatSelect, qualityInput, targetCheckbox, targetInput, oneXCheckbox].forEach(input => {
+        input.addEventListener('change', () => {
+            updateFields();
+            updateEstimate();
+        });
     });
+    qualityInput.addEventListener('input', updateFields);
+
+    updateFields();
+    updateEstimate();
+
+    return { read, updateEstimate };
+}
+
+// Wires the compare view: diffs the capture on screen against an earlier capture or an image
+// file (see image_diff.js). `getPart` returns the part on screen; captures are compared part by part.
+function setupCompare(record, canvas, getPart) {
+    const compareBtn = document.getElementById('compareBtn');
+    const view = document.getElementById('compare-view');
+    const preview = document.getElementById('preview-container');
+    const withSelect = document.getElementById('compareWith');
+    const fileInput = document.getElementById('compareFile');
+    const modeSelect = document.getElementById('compareMode');
+    const mixInput = document.getElementById('compareMix');
+    const toleranceInput = document.getElementById('compareTolerance');
+    const summary = document.getElementById('compareSummary');
+    const stack = document.getElementById('compareStack');
+    const beforeCanvas = document.getElementById('compareBefore');
+    const afterCanvas = document.getElementById('compareAfter');
+    const highlightCanvas = document.getElementById('compareHighlight');
+    const referenceCanvas = document.createElement('canvas');
+    // What the capture is compared with: {captureId, parts} or {file}
+    let reference = null;
+
+    toleranceInput.value = DEFAULT_DIFF_TOLERANCE;
+
+    async function fillCaptureList() {
+        const captures = (await listCaptures()).filter(capture => capture.id !== record.id);
+        const samePage = captures.filter(capture => capture.url === record.url);
+        const otherPages = captures.filter(capture => capture.url !== record.url);
+
+        withSelect.innerHTML = '';
+        withSelect.appendChild(createOption('', 'Compare with...'));
+        [['This page', samePage], ['Other pages', otherPages]].forEach(([label, list]) => {
+            if (list.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            list.forEach(capture => group.appendChild(createOption(capture.id,
+                `${new Date(capture.timestamp).toLocaleString()} · ${capture.title || capture.url}`)));
+            withSelect.appendChild(group);
+        });
+        withSelect.appendChild(createOption('file', 'Image file...'));
+    }
+
+    async function loadReference() {
+        if (reference.file) {
+            await drawBlob(referenceCanvas, reference.file);
+        } else {
+            const part = Math.min(getPart(), reference.parts - 1);
+            await drawBlob(referenceCanvas, await getCaptureImage(reference.captureId, part));
+        }
+    }
+
+    async function compute() {
+        if (!reference) {
+            summary.textContent = 'Pick a capture or an image file to compare with.';
+            stack.hidden = true;
+            return;
+        }
+        summary.textContent = 'Comparing...';
+        // Let the message paint before the diff blocks the page
+        await new Promise(resolve => setTimeout(resolve));
+
+        const before = referenceCanvas.getContext('2d').getImageData(0, 0, referenceCanvas.width, referenceCanvas.height);
+        const after = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const diff = diffImages(before, after, { tolerance: Number(toleranceInput.value) || 0 });
+
+        // Both images on a white background of the combined size, so the display modes line up
+        drawAligned(beforeCanvas, referenceCanvas, diff.width, diff.height);
+        drawAligned(afterCanvas, canvas, diff.width, diff.height);
+
+        const alignedAfter = afterCanvas.getContext('2d').getImageData(0, 0, diff.width, diff.height);
+        highlightCanvas.width = diff.width;
+        highlightCanvas.height = diff.height;
+        const ctx = highlightCanvas.getContext('2d');
+        ctx.putImageData(new ImageData(buildHighlightImage(alignedAfter, diff.mask), diff.width, diff.height), 0, 0);
+        const regions = findChangedRegions(diff.mask, diff.width, diff.height);
+        ctx.strokeStyle = '#d93025';
+        ctx.lineWidth = Math.max(2, Math.round(diff.width / 400));
+        regions.forEach(region => ctx.strokeRect(region.x, region.y, region.width, region.height));
+
+        let text = `${diff.percent.toFixed(2)}% of pixels changed in ${regions.length} ` +
+            `${regions.length === 1 ? 'region' : 'regions'}`;
+        if (before.width !== after.width || before.height !== after.height) {
+            text += ` (sizes differ: ${before.width}×${before.height} before, ${after.width}×${after.height} now)`;
+        }
+        summary.textContent = text;
+        stack.hidden = false;
+        showMode();
+    }
+
+    function showMode() {
+        const mode = modeSelect.value;
+        const overlay = mode === 'slider' || mode === 'onion';
+        stack.classList.toggle('overlay', overlay);
+        stack.classList.toggle('side', mode === 'side');
+        beforeCanvas.hidden = mode === 'highlight';
+        afterCanvas.hidden = mode === 'highlight';
+        highlightCanvas.hidden = mode !== 'highlight';
+        mixInput.hidden = !overlay;
+
+        // Slider: the earlier image left of the handle, the current one right of it
+        const mix = Number(mixInput.value);
+        afterCanvas.style.clipPath = mode === 'slider' ? `inset(0 0 0 ${mix}%)` : '';
+        afterCanvas.style.opacity = mode === 'onion' ? mix / 100 : '';
+    }
+
+    async function run(task) {
+        try {
+            await task();
+        } catch (e) {
+            console.error('Compare failed:', e);
+            summary.textContent = 'Could not compare: ' + e.message;
+        }
+    }
+
+    compareBtn.addEventListener('click', () => run(async () => {
+        preview.hidden = true;
+        view.hidden = false;
+        await fillCaptureList();
+        if (reference && reference.captureId) {
+            withSelect.value = reference.captureId;
+        }
+        await compute();
+    }));
+
+    document.getElementById('closeCompare').addEventListener('click', () => {
+        view.hidden = true;
+        preview.hidden = false;
+    });
+
+    withSelect.addEventListener('change', () => run(async () => {
+        if (withSelect.value === 'file') {
+            fileInput.click();
+            // Until a file is picked, keep showing what is compared now
+            withSelect.value = reference && reference.captureId ? reference.captureId : '';
+            return;
+        }
+        const capture = withSelect.value ? await getCapture(withSelect.value) : null;
+        reference = capture ? { captureId: capture.id, parts: capture.parts || 1 } : null;
+        if (reference) await loadReference();
+        await compute();
+    }));
+
+    fileInput.addEventListener('change', () => run(async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        reference = { file };
+        await loadReference();
+        await compute();
+    }));
+
+    toleranceInput.addEventListener('change', () => run(compute));
+    modeSelect.addEventListener('change', showMode);
+    mixInput.addEventListener('input', showMode);
+
+    return {
+        // The part on screen changed
+        refresh() {
+            if (view.hidden || !reference) return Promise.resolve();
+            return run(async () => {
+                await loadReference();
+                await compute();
+            });
+        }
+    };
+}
+
+function drawAligned(target, source, width, height) {
+    target.width = width;
+    target.height = height;
+    const ctx = target.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(source, 0, 0);
+}
+
+function createOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+}
+
+function flashButton(btn, text) {
+    const original = btn.textContent;
+    btn.textContent = text;
+    setTimeout(() => {
+        btn.textContent = original;
+    }, 1500);
+}
+
+async function drawBlob(canvas, blob) {
+    const bitmap = await createImageBitmap(blob);
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+}
+
+// Slices the stitched canvas into pages and builds a PDF (see pdf_writer.js).
+// Page breaks are nudged up to blank rows so text lines are not cut in half.
+async function createPdf(sourceCanvas, { paper, orientation, marginMm }) {
+    const pageSize = getPageSize(paper, orientation);
+    const margin = Math.min(marginMm * POINTS_PER_MM, pageSize.width / 4, pageSize.height / 4);
+
+    // How many canvas pixels fit on one page at the printable width
+    const pixelsPerPoint = sourceCanvas.width / (pageSize.width - margin * 2);
+    const pageHeightPx = Math.floor((pageSize.height - margin * 2) * pixelsPerPoint);
+
+    const sourceCtx = sourceCanvas.getContext('2d');
+    const isQuietRow = (y) => isUniformRow(sourceCtx.getImageData(0, y, sourceCanvas.width, 1).data);
+    const slices = computePageSlices(sourceCanvas.height, pageHeightPx, isQuietRow, Math.floor(pageHeightPx * 0.15));
+
+    const pages = [];
+
+    for (const slice of slices) {
+        const pageCanvas = flattenOnWhite(sourceCanvas, { x: 0, y: slice.y, width: sourceCanvas.width, height: slice.height });
+        const jpegBlob = await canvasToBlob(pageCanvas, 'image/jpeg', 0.92);
+        pages.push({
+            jpeg: new Uint8Array(await jpegBlob.arrayBuffer()),
+            pixelWidth: pageCanvas.width,
+            pixelHeight: pageCanvas.height
+        });
+    }
+
+    const pdfBytes = buildPdf(pages, { pageWidth: pageSize.width, pageHeight: pageSize.height, margin: margin });
+    return new Blob([pdfBytes], { type: 'application/pdf' });
 }
@@ -0,0 +1,273 @@
+// settings.js
+// User settings shared by the background worker (via importScripts) and the extension pages.
+// Stored as a single object in chrome.storage.sync; missing keys fall back to the defaults.
+// Per-site overrides are stored under one key per hostname and only hold the values that differ.
+
+const SETTINGS_KEY = 'settings';
+const SITE_KEY_PREFIX = 'site:';
+// Before per-site keys, all overrides shared this one item (sync items are limited to 8 KB)
+const LEGACY_SITES_KEY = 'siteSettings';
+
+// Sections that apply to the extension as a whole and cannot be overridden per site
+const GLOBAL_SECTIONS = ['history'];
+
+const DEFAULT_SETTINGS = {
+    // Masking of sensitive text while the page is captured
+    redaction: {
+        enabled: false,
+        emails: true,
+        creditCards: true,
+        apiKeys: true,
+        customPatterns: [] // Regex sources, matched globally against text and input values
+    },
+    // Scrolling and waiting for the page to settle after each scroll step
+    capture: {
+        overlap: 80, // CSS pixels shared by neighbouring tiles, cropped when stitching
+        maxSteps: 500, // Safety net for endless pages
+        // A scroll container must cover at least this fraction of the viewport in each direction
+        containerMinWidth: 0.5,
+        containerMinHeight: 0.5,
+        askForContainer: true, // Let the user pick when a page has several scroll containers
+        containerSelector: '', // Scroll container to use (remembered per site when the user picks one)
+        settleMinMs: 150, // Always wait at least this long
+        settleMaxMs: 3000, // Never wait longer than this for images/animations/fonts/quiet
+        quietPeriodMs: 200 // No DOM mutations or layout shifts for this long = settled
+    },
+    // Lazy-loaded images and infinite feeds (full-page captures only)
+    lazyLoad: {
+        preload: true, // Scroll through the page once before capturing so lazy content loads
+        maxExtraScreens: 10, // Follow a growing page for at most this many extra screens...
+        maxExtraPixels: 30000 // ...or this many extra CSS pixels, whichever comes first (0 = no limit)
+    },
+    // Fixed and sticky elements (headers, footers, banners) during capture
+    fixedElements: {
+        policy: 'hide', // 'hide' = hide everywhere, 'first' = top of the page only, 'natural' = see content_script.js
+        // Always removed from the page while capturing (cookie/consent overlays, chat widgets)
+        removeSelectors: [
+            '#onetrust-consent-sdk',
+            '#CybotCookiebotDialog',
+            '.cc-window',
+            '#intercom-container',
+            '.intercom-lightweight-app',
+            '#hubspot-messages-iframe-container'
+        ]
+    },
+    // What happens once a capture is stitched
+    output: {
+        afterCapture: 'open', // 'open' the result tab, copy to the 'clipboard', or 'download' without asking
+        format: 'png', // Default download format: 'png', 'jpeg' or 'webp'
+        quality: 92, // JPEG/WebP quality, 10-100
+        embedMetadata: true, // Write the page URL, title and capture details into PNG/JPEG files
+        provenanceBand: 'none', // Draw the URL and capture time into the image: 'none', 'header' or 'footer'
+        savePage: false, // Keep the page's text (and an MHTML copy) with each capture, see page_archive.js
+        // File names for every export, see buildFilePath() in downloads.js for the tokens.
+        // The folder is a template too, relative to the downloads directory.
+        folder: '',
+        filenameTemplate: 'screenshot-{date}-{time}',
+        saveAs: true // Ask where to save downloads started from the result and history pages
+    },
+    // Retention limits for the capture history (0 = unlimited)
+    history: {
+        maxCount: 50,
+        maxMegabytes: 500
+    }
+};
+
+/**
+ * Loads the settings. With a hostname, that site's overrides are applied on top.
+ * @param {string} [hostname]
+ */
+async function loadSettings(hostname) {
+    const site = normalizeHostname(hostname);
+    const data = await chrome.storage.sync.get([SETTINGS_KEY, LEGACY_SITES_KEY, ...(site ? [getSiteKey(site)] : [])]);
+    const settings = mergeSettings(DEFAULT_SETTINGS, data[SETTINGS_KEY] || {});
+    if (!site) return settings;
+    const overrides = data[getSiteKey(site)] || (data[LEGACY_SITES_KEY] || {})[site];
+    return overrides ? mergeSettings(settings, overrides) : settings;
+}
+
+async function saveSettings(settings) {
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+}
+
+function getSiteKey(site) {
+    return SITE_KEY_PREFIX + site;
+}
+
+// All site overrides by hostname. Overrides still in the old shared item are moved to their own keys.
+async function loadSiteOverrides() {
+    const data = await chrome.storage.sync.get(null);
+    const sites = {};
+    Object.keys(data).forEach(key => {
+        if (key.startsWith(SITE_KEY_PREFIX)) {
+            sites[key.slice(SITE_KEY_PREFIX.length)] = data[key];
+        }
+    });
+
+    const legacy = data[LEGACY_SITES_KEY];
+    if (legacy) {
+        const moved = {};
+        Object.keys(legacy).forEach(site => {
+            if (sites[site]) return;
+            sites[site] = legacy[site];
+            moved[getSiteKey(site)] = legacy[site];
+        });
+        await chrome.storage.sync.set(moved);
+        await chrome.storage.sync.remove(LEGACY_SITES_KEY);
+    }
+    return sites;
+}
+
+async function saveSiteOverride(site, overrides) {
+    await chrome.storage.sync.set({ [getSiteKey(site)]: overrides });
+}
+
+async function removeSiteOverride(site) {
+    await chrome.storage.sync.remove(getSiteKey(site));
+}
+
+// Hostname of a page URL, '' for anything that is not a URL
+function getHostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return '';
+    }
+}
+
+// 'WWW.Example.com' and 'example.com' share their overrides
+function normalizeHostname(hostname) {
+    return (hostname || '').trim().toLowerCase().replace(/^www\./, '');
+}
+
+// Stores one value as an override for a site, e.g. a choice the user made on the page
+async function saveSiteSetting(hostname, section, key, value) {
+    const site = normalizeHostname(hostname);
+    if (!site) return;
+    const data = await chrome.storage.sync.get([getSiteKey(site), LEGACY_SITES_KEY]);
+    const overrides = data[getSiteKey(site)] || (data[LEGACY_SITES_KEY] || {})[site] || {};
+    overrides[section] = { ...overrides[section], [key]: value };
+    await saveSiteOverride(site, overrides);
+}
+
+function getEffectiveSettings(settings, sites, hostname) {
+    const overrides = sites[normalizeHostname(hostname)];
+    return overrides ? mergeSettings(settings, overrides) : settings;
+}
+
+// Returns only the values of `changed` that differ from `base` (what a site override stores)
+function diffSettings(base, changed) {
+    const diff = {};
+    Object.keys(base).forEach(key => {
+        if (GLOBAL_SECTIONS.includes(key)) return;
+        const value = changed[key];
+        if (isPlainObject(base[key])) {
+            const nested = diffSettings(base[key], isPlainObject(value) ? value : {});
+            if (Object.keys(nested).length > 0) diff[key] = nested;
+        } else if (value !== undefined && JSON.stringify(value) !== JSON.stringify(base[key])) {
+            diff[key] = value;
+        }
+    });
+    return diff;
+}
+
+/**
+ * Checks a complete settings object.
+ * @returns {string|null} A message for the user, or null if the settings are valid
+ */
+function validateSettings(settings) {
+    const { capture, lazyLoad, fixedElements, output, history, redaction } = settings;
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+    if (![capture.settleMinMs, capture.settleMaxMs, capture.quietPeriodMs].every(value => value >= 0)) {
+        return 'Capture timings must be zero or more.';
+    }
+    if (capture.settleMinMs > capture.settleMaxMs) {
+        return 'The minimum wait cannot be longer than the maximum wait.';
+    }
+    if (!isCount(capture.overlap) || capture.overlap > 400) {
+        return 'The tile overlap must be between 0 and 400 pixels.';
+    }
+    if (!Number.isInteger(capture.maxSteps) || capture.maxSteps < 1) {
+        return 'The maximum number of scroll steps must be at least 1.';
+    }
+    if (![capture.containerMinWidth, capture.containerMinHeight].every(value => value >= 0 && value <= 1)) {
+        return 'Scroll container thresholds must be between 0 and 1.';
+    }
+    if (!(lazyLoad.maxExtraScreens >= 0) || !(lazyLoad.maxExtraPixels >= 0)) {
+        return 'Lazy-loading limits must be zero or more.';
+    }
+    if (!['hide', 'first', 'natural'].includes(fixedElements.policy)) {
+        return `Unknown fixed element policy "${fixedElements.policy}".`;
+    }
+    if (!['open', 'clipboard', 'download'].includes(output.afterCapture)) {
+        return `Unknown action after capture "${output.afterCapture}".`;
+    }
+    if (!['png', 'jpeg', 'webp'].includes(output.format)) {
+        return `Unknown image format "${output.format}".`;
+    }
+    if (!(output.quality >= 10 && output.quality <= 100)) {
+        return 'Image quality must be between 10 and 100.';
+    }
+    if (!['none', 'header', 'footer'].includes(output.provenanceBand)) {
+        return `Unknown provenance band position "${output.provenanceBand}".`;
+    }
+    if (!output.filenameTemplate.trim()) {
+        return 'The file name cannot be empty.';
+    }
+    if (!isCount(history.maxCount) || !(history.maxMegabytes >= 0)) {
+        return 'History limits cannot be negative.';
+    }
+    // Selectors can only be checked where there is a DOM (the options page)
+    if (typeof document !== 'undefined') {
+        for (const selector of [...fixedElements.removeSelectors, capture.containerSelector].filter(Boolean)) {
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (e) {
+                return `Invalid selector "${selector}".`;
+            }
+        }
+    }
+    for (const source of redaction.customPatterns) {
+        try {
+            new RegExp(source, 'g');
+        } catch (e) {
+            return `Invalid pattern "${source}": ${e.message}`;
+        }
+    }
+    return null;
+}
+
+// Deep-merges plain objects; arrays and other values from `overrides` replace the defaults
+function mergeSettings(defaults, overrides) {
+    const result = {};
+    Object.keys(defaults).forEach(key => {
+        const base = defaults[key];
+        const value = overrides[key];
+        if (isPlainObject(base)) {
+            result[key] = mergeSettings(base, isPlainObject(value) ? value : {});
+        } else {
+            result[key] = value !== undefined ? value : base;
+        }
+    });
+    return result;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_SETTINGS,
+        loadSettings,
+        loadSiteOverrides,
+        saveSiteSetting,
+        mergeSettings,
+        normalizeHostname,
+        getEffectiveSettings,
+        diffSettings,
+        validateSettings
+    };
+}
@@ -0,0 +1,104 @@
+// stitch_align.js
+// Finds where a tile really continues the one above it by matching rows of pixels in their overlap,
+// instead of trusting the reported scroll offset (fractional scroll positions, smooth-scroll
+// libraries and content shifting between steps all make it drift). Used by stitcher.js.
+
+// Channel values are compared in steps of 16, so anti-aliasing differences still match
+const ROW_HASH_SHIFT = 4;
+// A match needs at least this many rows with content (uniform rows match anywhere)...
+const MIN_INFORMATIVE_ROWS = 8;
+// ...and this share of them must match
+const MIN_MATCH_CONFIDENCE = 0.9;
+// Another offset scoring within this margin of the best makes the match ambiguous (repeating content)
+const AMBIGUITY_MARGIN = 0.05;
+
+/**
+ * Hashes each row of RGBA pixels (alpha ignored).
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint32Array}
+ */
+function hashRows(data, width, height) {
+    const hashes = new Uint32Array(height);
+    for (let y = 0; y < height; y++) {
+        let hash = 0x811C9DC5; // FNV-1a
+        const start = y * width * 4;
+        const end = start + width * 4;
+        for (let i = start; i < end; i += 4) {
+            hash = Math.imul(hash ^ (data[i] >> ROW_HASH_SHIFT), 0x01000193);
+            hash = Math.imul(hash ^ (data[i + 1] >> ROW_HASH_SHIFT), 0x01000193);
+            hash = Math.imul(hash ^ (data[i + 2] >> ROW_HASH_SHIFT), 0x01000193);
+        }
+        hashes[y] = hash >>> 0;
+    }
+    return hashes;
+}
+
+// Share of the rows with content in `below` that match `above` when below[0] lies on above[offset]
+function scoreOffset(above, below, offset) {
+    const length = Math.min(above.length - offset, below.length);
+    let informative = 0;
+    let matched = 0;
+    for (let r = 1; r < length; r++) {
+        if (below[r] === below[r - 1]) continue;
+        informative++;
+        if (below[r] === above[offset + r]) matched++;
+    }
+    return { informative, confidence: informative ? matched / informative : 0 };
+}
+
+/**
+ * Finds where the top rows of a tile (`below`) continue the bottom rows of the tile above (`above`).
+ * Offsets closer to the expected one win ties.
+ * @param {Uint32Array} above Row hashes of the bottom band of the previous tile
+ * @param {Uint32Array} below Row hashes of the top band of the new tile
+ * @param {number} expectedOffset Row of `above` where below[0] should lie according to the scroll offsets
+ * @param {number} searchRange How many rows above and below the expected offset to try
+ * @returns {{offset: number, confidence: number, reliable: boolean}} `offset` is the expected one
+ *   unless the match is reliable
+ */
+function findRowOffset(above, below, expectedOffset, searchRange) {
+    const candidates = [];
+    for (let delta = -searchRange; delta <= searchRange; delta++) {
+        const offset = expectedOffset + delta;
+        if (offset < 0 || above.length - offset < MIN_INFORMATIVE_ROWS) continue;
+        candidates.push({ offset, ...scoreOffset(above, below, offset) });
+    }
+    // Nearest to the expected offset first, so a stable sort keeps it ahead on ties
+    candidates.sort((a, b) => Math.abs(a.offset - expectedOffset) - Math.abs(b.offset - expectedOffset));
+
+    let best = null;
+    candidates.forEach(candidate => {
+        if (candidate.informative >= MIN_INFORMATIVE_ROWS && (!best || candidate.confidence > best.confidence)) {
+            best = candidate;
+        }
+    });
+    if (!best || best.confidence < MIN_MATCH_CONFIDENCE) {
+        return { offset: expectedOffset, confidence: best ? best.confidence : 0, reliable: false };
+    }
+
+    // The reported offset is as good as the best: keep it
+    const expected = candidates.find(candidate => candidate.offset === expectedOffset);
+    if (expected && expected.informative >= MIN_INFORMATIVE_ROWS &&
+        expected.confidence >= best.confidence - AMBIGUITY_MARGIN) {
+        return { offset: expectedOffset, confidence: expected.confidence, reliable: true };
+    }
+
+    const rival = candidates.find(candidate => candidate !== best && candidate !== expected &&
+        candidate.informative >= MIN_INFORMATIVE_ROWS && candidate.confidence >= best.confidence - AMBIGUITY_MARGIN &&
+        Math.abs(candidate.offset - best.offset) > 1);
+    if (rival) {
+        return { offset: expectedOffset, confidence: best.confidence, reliable: false };
+    }
+    return { offset: best.offset, confidence: best.confidence, reliable: true };
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MIN_INFORMATIVE_ROWS,
+        hashRows,
+        findRowOffset
+    };
+}
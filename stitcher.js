@@ -0,0 +1,352 @@
+// stitcher.js
+// Streaming stitcher used by the background worker.
+// Tiles are drawn onto an OffscreenCanvas as soon as they are captured. The output is cut into
+// segments of at most MAX_SEGMENT_HEIGHT rows (and within Chrome's canvas area limit). A segment
+// is encoded and handed to `onSegment` as soon as no later tile can reach it, so only one
+// segment (plus the tiles straddling its bottom edge) is ever held in memory. The canvas is only
+// as tall as the page needs, and grows when the page does.
+// Each new row of tiles is lined up with the row above by matching their overlap (stitch_align.js).
+// An optional band (capture details, see capture_metadata.js) is drawn above or below the tiles.
+
+const MAX_CANVAS_SIDE = 32767;
+const MAX_CANVAS_AREA = 268435456; // 16384 x 16384
+const MAX_SEGMENT_HEIGHT = 16384;
+
+// How far (CSS px) the real scroll position may be from the reported one
+const ALIGN_SEARCH_RANGE = 24;
+
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_MAX_HEIGHT = 240;
+
+function getSegmentHeight(width) {
+    return Math.max(1, Math.min(MAX_SEGMENT_HEIGHT, MAX_CANVAS_SIDE, Math.floor(MAX_CANVAS_AREA / width)));
+}
+
+// Rows the canvas of a segment needs to hold `needed` rows. It at least doubles when it grows,
+// so a page that keeps growing is not copied over for every tile, and never exceeds the segment.
+function getCanvasRows(needed, current, segmentHeight) {
+    if (needed <= current) return current;
+    return Math.min(segmentHeight, Math.max(needed, current * 2));
+}
+
+/**
+ * Where a tile goes in the output, in device px. The rows and columns shared with the tile above
+ * and to the left ('overlap') are cropped; tiles in the first row / column are drawn full on that
+ * axis. A row found lower than reported (`row.delta` < 0) crops less, so no rows are missing, and
+ * vice versa. Rows that would land on the header band are dropped.
+ * @param {{x: number, y: number, width: number, height: number}} area Part of the bitmap to use
+ * @param {Object} placement
+ * @param {number} placement.x Scroll position (CSS px) the tile was captured at
+ * @param {number} placement.y
+ * @param {{x: number, y: number}} placement.firstTile Scroll position of the first tile
+ * @param {number} placement.originX Page position (CSS px) of the output's left edge
+ * @param {number} placement.originY
+ * @param {number} placement.scale
+ * @param {number} placement.overlap CSS px
+ * @param {{delta: number, shift: number}} placement.row Alignment of the tile's row (see startRow)
+ * @param {number} placement.headerRows
+ * @returns {{sx: number, sy: number, sw: number, sh: number, dx: number, dy: number}} Nothing is
+ *   left to draw when `sw` or `sh` is not positive
+ */
+function placeTile(area, { x, y, firstTile, originX, originY, scale, overlap, row, headerRows }) {
+    const overlapRows = Math.round(overlap * scale);
+    const cropX = x > firstTile.x ? overlapRows : 0;
+    const cropY = y > firstTile.y ? Math.min(Math.max(0, overlapRows - row.delta), area.height) : 0;
+    const tile = {
+        sx: area.x + cropX,
+        sy: area.y + cropY,
+        sw: area.width - cropX,
+        sh: area.height - cropY,
+        dx: Math.round((x - originX) * scale) + cropX,
+        dy: Math.round((y - originY) * scale) + headerRows + row.shift + cropY
+    };
+    // Rows above the page's top edge (a region below the container's top, a row moved up by
+    // alignment) are dropped, as the canvas edge would without a header
+    if (tile.dy < headerRows) {
+        const cut = headerRows - tile.dy;
+        tile.sy += cut;
+        tile.sh -= cut;
+        tile.dy = headerRows;
+    }
+    return tile;
+}
+
+/**
+ * Where a new row of tiles should continue the previous one: `expectedShift` rows below the previous
+ * row's top, i.e. its top band lies at `expectedOffset` in the bottom band of the previous row.
+ * @returns {{expectedShift: number, expectedOffset: number}|null} Null when the rows do not overlap
+ */
+function getRowSearch(previousY, y, scale, tileRows, bandRows) {
+    const expectedShift = Math.round((y - previousY) * scale);
+    const expectedOffset = expectedShift - (tileRows - bandRows);
+    return expectedOffset >= 0 && expectedShift < tileRows ? { expectedShift, expectedOffset } : null;
+}
+
+// Height of the output: the tiles, cut at the height limit of a region, plus the bands
+function getOutputHeight(extent, maxHeight, headerRows, footerRows) {
+    const contentHeight = maxHeight ? Math.min(extent, headerRows + Math.round(maxHeight)) : extent;
+    return { contentHeight, height: contentHeight + footerRows };
+}
+
+/**
+ * Creates a stitcher. Output coordinates are device pixels relative to (originX, originY).
+ * @param {Object} options
+ * @param {number} options.width Output width in device pixels
+ * @param {number|null} options.maxHeight Output height limit in device pixels (null = as tall as the tiles reach)
+ * @param {number} [options.expectedHeight] Height the page is expected to have in device pixels (without
+ *   bands), to size the canvas once; it grows if the page does
+ * @param {number} options.scale devicePixelRatio of the tiles
+ * @param {number} options.overlap CSS pixels shared by neighbouring tiles
+ * @param {number} options.originX Page x (CSS px) of the output's left edge
+ * @param {number} options.originY Page y (CSS px) of the output's top edge
+ * @param {{x: number, y: number, width: number, height: number}} [options.clip] Part of each tile
+ *   (CSS px) showing the scrolled content, e.g. a frame; the rest of the tile is dropped.
+ *   Without it the whole tile is used.
+ * @param {{position: string, height: number, draw: function}} [options.band] Rows added above
+ *   ('header') or below ('footer') the tiles; `draw(ctx, y, width)` paints them at canvas row y
+ * @param {function(Blob, number): Promise} options.onSegment Receives each encoded PNG segment and its index
+ */
+function createStitcher({ width, maxHeight, expectedHeight, scale, overlap, originX, originY, clip, band, onSegment }) {
+    const outputWidth = Math.max(1, Math.min(Math.round(width), MAX_CANVAS_SIDE));
+    const segmentHeight = getSegmentHeight(outputWidth);
+    const headerRows = band && band.position === 'header' ? band.height : 0;
+    const footerRows = band && band.position === 'footer' ? band.height : 0;
+
+    let canvas = null;
+    let ctx = null;
+    let segmentIndex = 0;
+    let segmentTop = 0; // Output row where the current segment starts
+    let extent = 0; // Lowest output row drawn so far
+    let firstTile = null;
+    let pending = []; // Tiles reaching below the current segment, redrawn into the next one
+    let thumbnail = null;
+    let bytes = 0;
+    // Vertical alignment: hashes of the bottom rows of the previous row's first tile, and how far
+    // (device px) the tiles are moved from their reported position
+    let row = null; // { y, band, delta, shift }
+    const seams = [];
+    const overlapRows = Math.round(overlap * scale);
+    const searchRows = Math.round(ALIGN_SEARCH_RANGE * scale);
+
+    // Makes the canvas hold at least `rows` rows of the current segment, keeping what is drawn
+    function ensureRows(rows) {
+        const current = canvas ? canvas.height : 0;
+        const needed = getCanvasRows(Math.min(rows, segmentHeight), current, segmentHeight);
+        if (needed === current) return;
+
+        const grown = new OffscreenCanvas(outputWidth, needed);
+        const grownCtx = grown.getContext('2d');
+        if (canvas) {
+            grownCtx.drawImage(canvas, 0, 0);
+        } else if (headerRows) {
+            band.draw(grownCtx, 0, outputWidth);
+        }
+        canvas = grown;
+        ctx = grownCtx;
+    }
+
+    function drawTile(tile) {
+        ctx.drawImage(
+            tile.bitmap,
+            tile.sx, tile.sy, tile.sw, tile.sh,
+            tile.dx, tile.dy - segmentTop, tile.sw, tile.sh
+        );
+    }
+
+    // Encodes the top `height` rows of the current segment
+    async function flushSegment(height) {
+        ensureRows(height);
+        let output = canvas;
+        if (height < canvas.height) {
+            output = new OffscreenCanvas(outputWidth, height);
+            output.getContext('2d').drawImage(canvas, 0, 0);
+        }
+
+        if (segmentIndex === 0) {
+            thumbnail = await createThumbnail(output);
+        }
+
+        const blob = await output.convertToBlob({ type: 'image/png' });
+        bytes += blob.size;
+        await onSegment(blob, segmentIndex);
+        segmentIndex++;
+    }
+
+    function startNextSegment() {
+        segmentTop += segmentHeight;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Tiles drawn into the previous segment continue into this one
+        const segmentBottom = segmentTop + segmentHeight;
+        const stillPending = [];
+        pending.forEach(tile => {
+            ensureRows(tile.dy + tile.sh - segmentTop);
+            drawTile(tile);
+            if (tile.dy + tile.sh > segmentBottom) {
+                stillPending.push(tile);
+            } else {
+                tile.bitmap.close();
+            }
+        });
+        pending = stillPending;
+    }
+
+    // First tile of a row: compare its top rows with the bottom rows of the previous row's first tile.
+    // The band searched is the overlap plus the search range; a weak match keeps the reported offset.
+    function startRow(bitmap, area, y) {
+        const bandRows = Math.min(overlapRows + searchRows, area.height);
+        let delta = 0;
+        const search = row && overlapRows >= MIN_INFORMATIVE_ROWS ?
+            getRowSearch(row.y, y, scale, area.height, bandRows) : null;
+        if (search) {
+            const { expectedShift, expectedOffset } = search;
+            const match = findRowOffset(row.band, readRowHashes(bitmap, area, 0, bandRows), expectedOffset, searchRows);
+            delta = match.offset - expectedOffset;
+            seams.push({
+                y,
+                expectedShift,
+                shift: expectedShift + delta,
+                confidence: Math.round(match.confidence * 100) / 100,
+                aligned: match.reliable
+            });
+        }
+        row = {
+            y,
+            band: readRowHashes(bitmap, area, area.height - bandRows, bandRows),
+            delta,
+            shift: (row ? row.shift : 0) + delta
+        };
+    }
+
+    function readRowHashes(bitmap, area, top, rows) {
+        const band = new OffscreenCanvas(area.width, rows);
+        const bandCtx = band.getContext('2d');
+        bandCtx.drawImage(bitmap, area.x, area.y + top, area.width, rows, 0, 0, area.width, rows);
+        return hashRows(bandCtx.getImageData(0, 0, area.width, rows).data, area.width, rows);
+    }
+
+    // Device pixel rect of the tile to draw, within the bitmap
+    function getTileArea(bitmap) {
+        if (!clip) {
+            return { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+        }
+        const x = Math.max(0, Math.round(clip.x * scale));
+        const y = Math.max(0, Math.round(clip.y * scale));
+        return {
+            x,
+            y,
+            width: Math.min(Math.round(clip.width * scale), bitmap.width - x),
+            height: Math.min(Math.round(clip.height * scale), bitmap.height - y)
+        };
+    }
+
+    function releaseTiles() {
+        pending.forEach(tile => tile.bitmap.close());
+        pending = [];
+    }
+
+    return {
+        /**
+         * Draws a tile captured at page scroll position (x, y).
+         * Tiles must arrive row by row (y never decreases).
+         */
+        async addTile(blob, x, y) {
+            const bitmap = await createImageBitmap(blob);
+            if (!firstTile) {
+                firstTile = { x, y };
+            }
+
+            const area = getTileArea(bitmap);
+            if (!row || y !== row.y) {
+                startRow(bitmap, area, y);
+            }
+            const tile = {
+                bitmap,
+                ...placeTile(area, { x, y, firstTile, originX, originY, scale, overlap, row, headerRows })
+            };
+            if (tile.sw <= 0 || tile.sh <= 0) {
+                bitmap.close();
+                return;
+            }
+
+            // The first tile sizes the canvas for the whole page when its height is known
+            if (!canvas) {
+                ensureRows(Math.max(tile.dy + tile.sh, expectedHeight ? headerRows + Math.round(expectedHeight) + footerRows : 0));
+            }
+
+            // Nothing after this tile can reach rows above its top edge: those segments are final
+            while (tile.dy >= segmentTop + segmentHeight) {
+                await flushSegment(segmentHeight);
+                startNextSegment();
+            }
+
+            ensureRows(tile.dy + tile.sh - segmentTop);
+            drawTile(tile);
+            extent = Math.max(extent, tile.dy + tile.sh);
+
+            if (tile.dy + tile.sh > segmentTop + segmentHeight) {
+                pending.push(tile);
+            } else {
+                bitmap.close();
+            }
+        },
+
+        /**
+         * Flushes the remaining segments.
+         * @returns {Promise<{width: number, height: number, parts: number, bytes: number, thumbnail: Blob,
+         *   seams: Array<{y: number, expectedShift: number, shift: number, confidence: number, aligned: boolean}>}>}
+         *   `seams` has one entry per row boundary: the reported and the matched shift in device px
+         */
+        async finish() {
+            if (!canvas || extent <= 0) {
+                throw new Error('Nothing was captured.');
+            }
+
+            // The footer goes below the last tile row (or the height limit) and may straddle segments
+            const { contentHeight, height } = getOutputHeight(extent, maxHeight, headerRows, footerRows);
+            const drawFooter = () => {
+                if (!footerRows) return;
+                ensureRows(height - segmentTop);
+                band.draw(ctx, contentHeight - segmentTop, outputWidth);
+            };
+            while (segmentTop + segmentHeight < height) {
+                drawFooter();
+                await flushSegment(segmentHeight);
+                startNextSegment();
+            }
+            drawFooter();
+            await flushSegment(Math.max(1, height - segmentTop));
+            releaseTiles();
+
+            return { width: outputWidth, height, parts: segmentIndex, bytes, thumbnail, seams };
+        },
+
+        // Frees memory when the capture is abandoned
+        dispose() {
+            releaseTiles();
+            canvas = null;
+            ctx = null;
+        }
+    };
+}
+
+// Small JPEG preview of the top of the capture for the history gallery
+function createThumbnail(source) {
+    const ratio = THUMBNAIL_WIDTH / source.width;
+    const height = Math.max(1, Math.min(Math.round(source.height * ratio), THUMBNAIL_MAX_HEIGHT));
+    const thumb = new OffscreenCanvas(THUMBNAIL_WIDTH, height);
+    thumb.getContext('2d').drawImage(source, 0, 0, source.width, height / ratio, 0, 0, THUMBNAIL_WIDTH, height);
+    return thumb.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getSegmentHeight,
+        getCanvasRows,
+        placeTile,
+        getRowSearch,
+        getOutputHeight,
+        createStitcher
+    };
+}
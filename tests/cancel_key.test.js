@@ -0,0 +1,44 @@
+// Mock chrome API globally before require
+global.chrome = {
+    runtime: {
+        onMessage: {
+            addListener: jest.fn()
+        },
+        sendMessage: jest.fn()
+    }
+};
+
+require('../content_script.js');
+
+const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+function send(message) {
+    onMessage(message, {}, () => {});
+}
+
+function pressEscape() {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+}
+
+describe('Escape during a frame capture', () => {
+    beforeEach(() => {
+        chrome.runtime.sendMessage.mockClear();
+    });
+
+    test('should cancel the capture from the frame showing the progress bar', () => {
+        send({ action: 'UPDATE_PROGRESS', percent: 10 });
+        pressEscape();
+
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'CANCEL_CAPTURE' });
+        send({ action: 'HIDE_PROGRESS' });
+    });
+
+    test('should stop listening once the progress bar is hidden', () => {
+        send({ action: 'UPDATE_PROGRESS', percent: 10 });
+        send({ action: 'HIDE_PROGRESS' });
+        pressEscape();
+
+        expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+        expect(document.getElementById('fps-extension-progress-bar')).toBeNull();
+    });
+});
@@ -0,0 +1,109 @@
+const { TextEncoder, TextDecoder } = require('util');
+const { crc32 } = require('../zip_writer.js');
+
+// capture_metadata.js uses the crc32() of zip_writer.js and TextEncoder, as it does in the extension
+global.crc32 = crc32;
+global.TextEncoder = global.TextEncoder || TextEncoder;
+const { getCaptureMetadata, metadataEntries, addPngText, addJpegXmp, fitText } = require('../capture_metadata.js');
+
+const metadata = {
+    url: 'https://example.com/page?q=1',
+    title: 'Example page',
+    capturedAt: Date.UTC(2024, 0, 2, 3, 4, 5),
+    viewport: { width: 1280, height: 720 },
+    devicePixelRatio: 2,
+    containerSelector: 'main > .scroller'
+};
+
+// Signature, an IHDR chunk and IEND (content does not matter here)
+function createPng() {
+    const png = new Uint8Array(8 + 25 + 12);
+    png.set([137, 80, 78, 71, 13, 10, 26, 10]);
+    png.set([0, 0, 0, 13, 73, 72, 68, 82], 8);
+    png.set([0, 0, 0, 0, 73, 69, 78, 68, 0xAE, 0x42, 0x60, 0x82], 33);
+    return png;
+}
+
+function readChunks(png) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const chunks = [];
+    for (let position = 8; position < png.length;) {
+        const length = view.getUint32(position);
+        chunks.push({
+            type: String.fromCharCode(...png.subarray(position + 4, position + 8)),
+            data: png.subarray(position + 8, position + 8 + length),
+            crc: view.getUint32(position + 8 + length),
+            expectedCrc: crc32(png.subarray(position + 4, position + 8 + length))
+        });
+        position += length + 12;
+    }
+    return chunks;
+}
+
+describe('metadataEntries', () => {
+    test('should list the capture details in order', () => {
+        expect(metadataEntries(metadata)).toEqual([
+            ['Title', 'Example page'],
+            ['URL', 'https://example.com/page?q=1'],
+            ['Creation Time', '2024-01-02T03:04:05.000Z'],
+            ['Viewport', '1280x720'],
+            ['Device Pixel Ratio', '2'],
+            ['Scroll Container', 'main > .scroller'],
+            ['Software', 'Full Page Screenshot']
+        ]);
+    });
+
+    test('should leave out what older records do not have', () => {
+        const record = { url: 'https://example.com/', title: '', timestamp: metadata.capturedAt, devicePixelRatio: 1 };
+        const keys = metadataEntries(getCaptureMetadata(record)).map(([key]) => key);
+        expect(keys).toEqual(['URL', 'Creation Time', 'Device Pixel Ratio', 'Software']);
+    });
+});
+
+describe('addPngText', () => {
+    test('should insert valid text chunks after IHDR', () => {
+        const chunks = readChunks(addPngText(createPng(), [['Title', 'Café'], ['URL', 'https://example.com/']]));
+        expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'tEXt', 'tEXt', 'IEND']);
+        chunks.slice(1, 3).forEach(chunk => expect(chunk.crc).toBe(chunk.expectedCrc));
+        expect(Array.from(chunks[1].data)).toEqual([84, 105, 116, 108, 101, 0, 67, 97, 102, 0xE9]);
+    });
+
+    test('should use UTF-8 iTXt chunks for other text', () => {
+        const [, chunk] = readChunks(addPngText(createPng(), [['Title', 'ページ']]));
+        expect(chunk.type).toBe('iTXt');
+        expect(new TextDecoder().decode(chunk.data.subarray(10))).toBe('ページ');
+        expect(Array.from(chunk.data.subarray(5, 11))).toEqual([0, 0, 0, 0, 0, 0xE3]);
+    });
+});
+
+describe('addJpegXmp', () => {
+    test('should insert an XMP segment after the JFIF header', () => {
+        const jpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0, 4, 1, 2, 0xFF, 0xD9]);
+        const output = addJpegXmp(jpeg, metadataEntries({ ...metadata, title: 'A & B' }));
+
+        expect(Array.from(output.subarray(0, 8))).toEqual([0xFF, 0xD8, 0xFF, 0xE0, 0, 4, 1, 2]);
+        expect(Array.from(output.subarray(8, 10))).toEqual([0xFF, 0xE1]);
+        const length = (output[10] << 8) | output[11];
+        expect(10 + length).toBe(output.length - 2);
+        expect(Array.from(output.subarray(-2))).toEqual([0xFF, 0xD9]);
+
+        const segment = new TextDecoder().decode(output.subarray(12, 10 + length));
+        expect(segment.startsWith('http://ns.adobe.com/xap/1.0/\0<?xpacket')).toBe(true);
+        expect(segment).toContain('<rdf:li xml:lang="x-default">A &amp; B</rdf:li>');
+        expect(segment).toContain('<dc:source>https://example.com/page?q=1</dc:source>');
+        expect(segment).toContain('<fps:ScrollContainer>main &gt; .scroller</fps:ScrollContainer>');
+    });
+});
+
+describe('fitText', () => {
+    // Every character is 10px wide
+    const ctx = { measureText: text => ({ width: text.length * 10 }) };
+
+    test('should keep text that fits', () => {
+        expect(fitText(ctx, 'short', 50)).toBe('short');
+    });
+
+    test('should shorten longer text with an ellipsis', () => {
+        expect(fitText(ctx, 'https://example.com/', 60)).toBe('https…');
+    });
+});
@@ -0,0 +1,72 @@
+const { TextDecoder } = require('util');
+
+// Mock chrome API globally before require
+global.chrome = {
+    runtime: {
+        onMessage: {
+            addListener: jest.fn()
+        }
+    }
+};
+
+require('../content_script.js');
+
+const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+function send(message) {
+    return new Promise(resolve => {
+        if (onMessage(message, {}, resolve) !== true) resolve(undefined);
+    });
+}
+
+function toDataUrl(text) {
+    return 'data:application/octet-stream;base64,' + Buffer.from(text).toString('base64');
+}
+
+describe('copying an image for the background worker', () => {
+    let written;
+
+    beforeEach(() => {
+        written = null;
+        global.ClipboardItem = class {
+            constructor(items) {
+                this.items = items;
+            }
+        };
+        navigator.clipboard = { write: jest.fn(async ([item]) => { written = item.items; }) };
+    });
+
+    async function readWritten(type) {
+        const blob = written[type];
+        const bytes = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(new Uint8Array(reader.result));
+            reader.readAsArrayBuffer(blob);
+        });
+        return new TextDecoder().decode(bytes);
+    }
+
+    test('should put the parts back together in order', async () => {
+        await send({ action: 'COPY_IMAGE_PART', part: 0, dataUrl: toDataUrl('first ') });
+        await send({ action: 'COPY_IMAGE_PART', part: 1, dataUrl: toDataUrl('second') });
+        const response = await send({ action: 'COPY_IMAGE', type: 'image/png' });
+
+        expect(response).toEqual({ status: 'copied' });
+        expect(await readWritten('image/png')).toBe('first second');
+    });
+
+    test('should start over with the first part of the next image', async () => {
+        await send({ action: 'COPY_IMAGE_PART', part: 0, dataUrl: toDataUrl('left over') });
+        await send({ action: 'COPY_IMAGE_PART', part: 0, dataUrl: toDataUrl('new') });
+        await send({ action: 'COPY_IMAGE', type: 'image/png' });
+
+        expect(await readWritten('image/png')).toBe('new');
+    });
+
+    test('should report when the clipboard refuses the image', async () => {
+        navigator.clipboard.write = jest.fn(async () => { throw new Error('Document is not focused.'); });
+        await send({ action: 'COPY_IMAGE_PART', part: 0, dataUrl: toDataUrl('png') });
+
+        expect(await send({ action: 'COPY_IMAGE', type: 'image/png' })).toEqual({ error: 'Document is not focused.' });
+    });
+});
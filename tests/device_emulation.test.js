@@ -0,0 +1,31 @@
+const { resolveDevice, getDeviceMetrics } = require('../device_emulation.js');
+
+describe('resolveDevice', () => {
+    test('should look up presets', () => {
+        expect(resolveDevice({ name: 'phone' })).toEqual({ name: 'phone', label: 'Phone', width: 390, mobile: true });
+        expect(resolveDevice({ name: 'watch' })).toBeNull();
+    });
+
+    test('should clamp custom widths and treat narrow ones as mobile', () => {
+        expect(resolveDevice({ name: 'custom', width: 50 })).toEqual({ name: 'custom', label: '200px', width: 200, mobile: true });
+        expect(resolveDevice({ name: 'custom', width: 1280.4 })).toMatchObject({ width: 1280, mobile: false });
+        expect(resolveDevice({ name: 'custom', width: 99999 }).width).toBe(3840);
+    });
+});
+
+describe('getDeviceMetrics', () => {
+    const viewport = { width: 1200, height: 800 };
+
+    test('should keep the viewport height for widths that fit', () => {
+        expect(getDeviceMetrics({ width: 390, mobile: true }, viewport)).toEqual({
+            width: 390, height: 800, deviceScaleFactor: 0, mobile: true, scale: 1
+        });
+    });
+
+    test('should scale wider layouts down to the window and make them taller', () => {
+        const metrics = getDeviceMetrics({ width: 2400, mobile: false }, viewport);
+        expect(metrics.scale).toBe(0.5);
+        expect(metrics.width).toBe(2400);
+        expect(metrics.height).toBe(1600);
+    });
+});
@@ -0,0 +1,158 @@
+const { MessageChannel } = require('worker_threads');
+const { buildFilePath, formatFilename, sanitizeFilename, saveBlob } = require('../downloads.js');
+
+const info = {
+    hostname: 'example.com',
+    title: 'Docs: "Getting started" / Intro',
+    path: 'docs-intro',
+    width: 1280,
+    height: 4000,
+    counter: 7,
+    date: new Date(2024, 0, 5, 9, 3, 7)
+};
+
+describe('formatFilename', () => {
+    test('should replace date and time tokens with zero-padded local values', () => {
+        expect(formatFilename('screenshot-{date}-{time}', info)).toBe('screenshot-2024-01-05-09-03-07');
+    });
+
+    test('should fill in page and size tokens', () => {
+        expect(formatFilename('{hostname}-{path}-{width}x{height}-{counter}', info))
+            .toBe('example.com-docs-intro-1280x4000-007');
+    });
+
+    test('should sanitize token values', () => {
+        expect(formatFilename('{title}', info)).toBe('Docs_ _Getting started_ _ Intro');
+    });
+
+    test('should leave unknown tokens untouched', () => {
+        expect(formatFilename('{date}-{unknown}', info)).toBe('2024-01-05-{unknown}');
+    });
+});
+
+describe('sanitizeFilename', () => {
+    test('should replace illegal characters and trim dots and spaces', () => {
+        expect(sanitizeFilename(' ..a<b>c?*. ')).toBe('a_b_c__');
+    });
+
+    test('should prefix reserved device names', () => {
+        expect(sanitizeFilename('CON')).toBe('_CON');
+        expect(sanitizeFilename('nul.txt')).toBe('_nul.txt');
+    });
+
+    test('should limit the length', () => {
+        expect(sanitizeFilename('x'.repeat(300)).length).toBe(100);
+    });
+});
+
+describe('buildFilePath', () => {
+    test('should create subfolders from the template', () => {
+        expect(buildFilePath('screenshots/{hostname}/{date}', info, '', 'png'))
+            .toBe('screenshots/example.com/2024-01-05.png');
+    });
+
+    test('should not let token values or dot segments escape the downloads folder', () => {
+        expect(buildFilePath('../{title}', info, '-part2', 'pdf'))
+            .toBe('Docs_ _Getting started_ _ Intro-part2.pdf');
+    });
+
+    test('should fall back to the default name when the template only names a folder', () => {
+        expect(buildFilePath('/shots/', info)).toBe('shots/screenshot-2024-01-05-09-03-07.png');
+    });
+
+    test('should drop empty folders', () => {
+        expect(buildFilePath('{path}/{hostname}', { ...info, path: '' })).toBe('example.com.png');
+    });
+});
+
+describe('saveBlob in the background worker', () => {
+    let offscreenClient;
+    let downloadListeners;
+
+    beforeEach(() => {
+        // Like the service worker: no object URLs (jsdom has none either)
+        global.MessageChannel = MessageChannel;
+        offscreenClient = null;
+        downloadListeners = [];
+        global.chrome = {
+            runtime: { getURL: path => `chrome-extension://id/${path}` },
+            offscreen: {
+                createDocument: jest.fn(async ({ url }) => {
+                    offscreenClient = {
+                        url: `chrome-extension://id/${url}`,
+                        postMessage: jest.fn((message, ports) => {
+                            if (message.action === 'CREATE_BLOB_URL') ports[0].postMessage('blob:chrome-extension://id/1');
+                        })
+                    };
+                })
+            },
+            downloads: {
+                download: jest.fn(async () => 42),
+                onChanged: {
+                    addListener: listener => downloadListeners.push(listener),
+                    removeListener: listener => downloadListeners.splice(downloadListeners.indexOf(listener), 1)
+                }
+            }
+        };
+        self.clients = { matchAll: async () => (offscreenClient ? [offscreenClient] : []) };
+    });
+
+    afterEach(() => {
+        delete global.MessageChannel;
+        delete self.clients;
+    });
+
+    test('should download a blob URL from the offscreen document instead of a data: URL', async () => {
+        const blob = new Blob(['png']);
+        expect(await saveBlob(blob, 'shot.png', false)).toBe(42);
+
+        expect(chrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+        expect(offscreenClient.postMessage.mock.calls[0][0]).toEqual({ action: 'CREATE_BLOB_URL', blob });
+        expect(chrome.downloads.download).toHaveBeenCalledWith({ url: 'blob:chrome-extension://id/1', filename: 'shot.png', saveAs: false });
+    });
+
+    test('should create the offscreen document only once', async () => {
+        await Promise.all([saveBlob(new Blob(['a']), 'a.png', false), saveBlob(new Blob(['b']), 'b.png', false)]);
+        await saveBlob(new Blob(['c']), 'c.png', false);
+
+        expect(chrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+    });
+
+    test('should release the blob URL once the download is over', async () => {
+        await saveBlob(new Blob(['png']), 'shot.png', false);
+        downloadListeners.slice().forEach(listener => listener({ id: 42, state: { current: 'in_progress' } }));
+        expect(offscreenClient.postMessage).toHaveBeenCalledTimes(1);
+
+        downloadListeners.slice().forEach(listener => listener({ id: 42, state: { current: 'complete' } }));
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(offscreenClient.postMessage).toHaveBeenLastCalledWith({ action: 'REVOKE_BLOB_URL', url: 'blob:chrome-extension://id/1' });
+        expect(downloadListeners).toEqual([]);
+    });
+});
+
+describe('saveBlob in a page', () => {
+    beforeEach(() => {
+        URL.createObjectURL = jest.fn(() => 'blob:page/1');
+        URL.revokeObjectURL = jest.fn();
+        window.alert = jest.fn();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.chrome = { downloads: { download: jest.fn(async () => { throw new Error('Invalid filename'); }) } };
+    });
+
+    afterEach(() => {
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+        console.error.mockRestore();
+    });
+
+    test('should tell the user and resolve with null when a download fails', async () => {
+        expect(await saveBlob(new Blob(['png']), 'shot.png')).toBeNull();
+        expect(window.alert).toHaveBeenCalledWith('Download failed: Invalid filename');
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:page/1');
+    });
+
+    test('should reject instead when the caller handles failures', async () => {
+        await expect(saveBlob(new Blob(['png']), 'shot.png', true, { throwOnError: true })).rejects.toThrow('Invalid filename');
+        expect(window.alert).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,112 @@
+// Mock chrome API globally before require
+global.chrome = {
+    runtime: {
+        onMessage: {
+            addListener: jest.fn()
+        }
+    }
+};
+
+require('../content_script.js');
+
+const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+function send(message) {
+    return new Promise(resolve => onMessage(message, {}, resolve));
+}
+
+// Nothing to wait for in jsdom
+const settle = { minWait: 0, maxWait: 50, quietPeriod: 0 };
+
+function createFixed(id, position, top = 0) {
+    const el = document.createElement('div');
+    el.id = id;
+    el.style.position = position;
+    el.getBoundingClientRect = () => ({ top, bottom: top + 40, left: 0, right: 100, width: 100, height: 40 });
+    document.body.appendChild(el);
+    return el;
+}
+
+// Which elements are visible in each tile of a grid, row by row. `top` is where the first row
+// starts on the page, as background.js sends it.
+async function captureTiles(policy, { rows, columns = 1, top = 0, mode = 'full' }) {
+    await send({ action: 'INIT_CAPTURE', mode, settle, fixedElements: { policy, removeSelectors: [] } });
+    const seen = [];
+    for (let row = 0; row < rows; row++) {
+        const y = top + row * 500;
+        for (let column = 0; column < columns; column++) {
+            await send({
+                action: 'SCROLL_TO', x: column * 800, y,
+                atPageTop: y === 0, lastRow: row === rows - 1, firstColumn: column === 0
+            });
+            seen.push(['header', 'footer', 'sticky']
+                .filter(id => document.getElementById(id).style.visibility !== 'hidden'));
+        }
+    }
+    return seen;
+}
+
+describe('fixed and sticky elements', () => {
+    let header, footer, sticky;
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        window.scrollTo = jest.fn();
+        header = createFixed('header', 'fixed', 0);
+        footer = createFixed('footer', 'fixed', 700);
+        sticky = createFixed('sticky', 'sticky', 100);
+    });
+
+    afterEach(async () => {
+        await send({ action: 'RESTORE', originalScrollX: 0, originalScrollY: 0 });
+    });
+
+    test('should hide them on every row with the "hide" policy', async () => {
+        expect(await captureTiles('hide', { rows: 3 })).toEqual([[], [], []]);
+    });
+
+    test('should show them on the first tile only with the "first" policy', async () => {
+        expect(await captureTiles('first', { rows: 3 })).toEqual([['header', 'footer', 'sticky'], [], []]);
+    });
+
+    test('should show headers first, footers last and keep sticky elements in flow with the "natural" policy', async () => {
+        expect(await captureTiles('natural', { rows: 3 })).toEqual([['header', 'sticky'], ['sticky'], ['footer', 'sticky']]);
+        expect(sticky.style.position).toBe('relative');
+    });
+
+    test('should show them once in a grid several columns wide', async () => {
+        expect(await captureTiles('first', { rows: 2, columns: 3 })).toEqual([
+            ['header', 'footer', 'sticky'], [], [],
+            [], [], []
+        ]);
+        expect(await captureTiles('natural', { rows: 2, columns: 3 })).toEqual([
+            ['header', 'sticky'], ['sticky'], ['sticky'],
+            ['footer', 'sticky'], ['sticky'], ['sticky']
+        ]);
+    });
+
+    test('should not show headers when the capture starts below the top of the page', async () => {
+        expect(await captureTiles('first', { rows: 2, top: 1200 })).toEqual([[], []]);
+        expect(await captureTiles('natural', { rows: 2, top: 1200 })).toEqual([['sticky'], ['footer', 'sticky']]);
+    });
+
+    test('should keep them hidden in a region that starts mid-page', async () => {
+        expect(await captureTiles('first', { rows: 2, top: 1200, mode: 'region' })).toEqual([[], []]);
+        expect(await captureTiles('natural', { rows: 1, mode: 'element' })).toEqual([[]]);
+    });
+
+    test('should hide them until the first row is captured', async () => {
+        await send({ action: 'INIT_CAPTURE', settle, fixedElements: { policy: 'first', removeSelectors: [] } });
+        expect([header, footer].map(el => el.style.visibility)).toEqual(['hidden', 'hidden']);
+    });
+
+    test('should put their styles back after the capture', async () => {
+        header.style.visibility = 'visible';
+        await captureTiles('natural', { rows: 2 });
+        await send({ action: 'RESTORE', originalScrollX: 0, originalScrollY: 0 });
+
+        expect(header.style.visibility).toBe('visible');
+        expect(footer.style.visibility).toBe('');
+        expect(sticky.style.position).toBe('sticky');
+    });
+});
@@ -0,0 +1,38 @@
+const { selectEvictions, selectOrphans } = require('../history_store.js');
+
+describe('selectEvictions', () => {
+    const records = [
+        { id: 'c', timestamp: 3, bytes: 400 },
+        { id: 'a', timestamp: 1, bytes: 100 },
+        { id: 'b', timestamp: 2, bytes: 300 }
+    ];
+
+    test('should keep everything when limits are disabled', () => {
+        expect(selectEvictions(records, { maxCount: 0, maxBytes: 0 })).toEqual([]);
+    });
+
+    test('should evict the oldest captures beyond the count limit', () => {
+        expect(selectEvictions(records, { maxCount: 2, maxBytes: 0 })).toEqual(['a']);
+    });
+
+    test('should evict older captures once the byte limit is reached', () => {
+        // c (400) fits, b would make 700 > 500, so b and everything older goes
+        expect(selectEvictions(records, { maxCount: 0, maxBytes: 500 })).toEqual(['b', 'a']);
+    });
+
+    test('should always keep the newest capture', () => {
+        expect(selectEvictions(records, { maxCount: 0, maxBytes: 10 })).toEqual(['b', 'a']);
+    });
+});
+
+describe('selectOrphans', () => {
+    const records = [{ id: 'a' }, { id: 'b' }];
+
+    test('should pick stored parts and pages without a record, once each', () => {
+        expect(selectOrphans(['a', 'a', 'x', 'x', 'b', 'y'], records, [])).toEqual(['x', 'y']);
+    });
+
+    test('should keep the parts of captures that are still running', () => {
+        expect(selectOrphans(['a', 'running', 'x'], records, ['running'])).toEqual(['x']);
+    });
+});
@@ -0,0 +1,79 @@
+const { diffImages, findChangedRegions, buildHighlightImage } = require('../image_diff.js');
+
+// Solid image of one RGBA color
+function solid(width, height, rgba = [255, 255, 255, 255]) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data.set(rgba, i);
+    }
+    return { data, width, height };
+}
+
+function setPixel(image, x, y, rgba) {
+    image.data.set(rgba, (y * image.width + x) * 4);
+}
+
+describe('diffImages', () => {
+    test('should report no change for identical images', () => {
+        const diff = diffImages(solid(4, 4), solid(4, 4));
+        expect(diff.changed).toBe(0);
+        expect(diff.percent).toBe(0);
+    });
+
+    test('should count changed pixels and the percentage', () => {
+        const after = solid(4, 4);
+        setPixel(after, 1, 2, [0, 0, 0, 255]);
+        setPixel(after, 3, 3, [0, 0, 0, 255]);
+
+        const diff = diffImages(solid(4, 4), after);
+        expect(diff.changed).toBe(2);
+        expect(diff.percent).toBe(12.5);
+        expect(diff.mask[2 * 4 + 1]).toBe(1);
+        expect(diff.mask[0]).toBe(0);
+    });
+
+    test('should ignore differences within the tolerance', () => {
+        const after = solid(2, 2, [250, 250, 250, 255]);
+        expect(diffImages(solid(2, 2), after, { tolerance: 8 }).changed).toBe(0);
+        expect(diffImages(solid(2, 2), after, { tolerance: 2 }).changed).toBe(4);
+    });
+
+    test('should count the area only one image covers as changed', () => {
+        const diff = diffImages(solid(4, 2), solid(4, 4));
+        expect(diff.width).toBe(4);
+        expect(diff.height).toBe(4);
+        expect(diff.changed).toBe(8);
+        expect(diff.percent).toBe(50);
+    });
+});
+
+describe('findChangedRegions', () => {
+    test('should merge nearby changes and keep distant ones apart', () => {
+        const mask = new Uint8Array(64 * 64);
+        mask[2 * 64 + 2] = 1;
+        mask[20 * 64 + 20] = 1; // Diagonal neighbour cell of the first change
+        mask[60 * 64 + 60] = 1;
+
+        const regions = findChangedRegions(mask, 64, 64, 16);
+        expect(regions).toEqual([
+            { x: 0, y: 0, width: 32, height: 32 },
+            { x: 48, y: 48, width: 16, height: 16 }
+        ]);
+    });
+
+    test('should clip regions to the image size', () => {
+        const mask = new Uint8Array(20 * 10);
+        mask[9 * 20 + 19] = 1;
+        expect(findChangedRegions(mask, 20, 10, 16)).toEqual([{ x: 16, y: 0, width: 4, height: 10 }]);
+    });
+});
+
+describe('buildHighlightImage', () => {
+    test('should paint changed pixels red and fade the rest', () => {
+        const after = solid(2, 1, [0, 0, 0, 255]);
+        const output = buildHighlightImage(after, new Uint8Array([1, 0]));
+        expect(Array.from(output.slice(0, 4))).toEqual([255, 0, 0, 255]);
+        expect(output[4]).toBeGreaterThan(150);
+        expect(output[7]).toBe(255);
+    });
+});
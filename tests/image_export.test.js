@@ -0,0 +1,100 @@
+const { MIN_QUALITY, findQualityForSize, getOutputSize, exportCanvas } = require('../image_export.js');
+
+// Fake encoder: the file size grows linearly with quality
+function linearEncoder(bytesAtFullQuality) {
+    const calls = [];
+    const encode = async (quality) => {
+        calls.push(quality);
+        return { size: Math.round(quality * bytesAtFullQuality) };
+    };
+    return { encode, calls };
+}
+
+describe('findQualityForSize', () => {
+    test('should keep the maximum quality when it already fits', async () => {
+        const { encode, calls } = linearEncoder(1000);
+        const result = await findQualityForSize(encode, 2000, 0.9);
+        expect(result).toEqual({ blob: { size: 900 }, quality: 0.9, fits: true });
+        expect(calls).toEqual([0.9]);
+    });
+
+    test('should find the highest quality under the limit', async () => {
+        const { encode } = linearEncoder(1000);
+        const result = await findQualityForSize(encode, 500, 1);
+        expect(result.fits).toBe(true);
+        expect(result.blob.size).toBeLessThanOrEqual(500);
+        expect(result.quality).toBeGreaterThan(0.48);
+    });
+
+    test('should return the smallest encoding when nothing fits', async () => {
+        const { encode } = linearEncoder(1000);
+        const result = await findQualityForSize(encode, 10, 1);
+        expect(result.fits).toBe(false);
+        expect(result.quality).toBe(MIN_QUALITY);
+    });
+});
+
+describe('getOutputSize', () => {
+    test('should scale and round the dimensions', () => {
+        expect(getOutputSize(2560, 9001, 0.5)).toEqual({ width: 1280, height: 4501 });
+    });
+
+    test('should never return an empty image', () => {
+        expect(getOutputSize(1, 1, 0.1)).toEqual({ width: 1, height: 1 });
+    });
+});
+
+describe('exportCanvas', () => {
+    // What the background worker draws on
+    class FakeOffscreenCanvas {
+        constructor(width, height) {
+            this.width = width;
+            this.height = height;
+            this.calls = [];
+            FakeOffscreenCanvas.created.push(this);
+        }
+
+        getContext() {
+            const calls = this.calls;
+            const ctx = {
+                fillStyle: null,
+                fillRect: (...args) => calls.push(['fillRect', ctx.fillStyle, ...args]),
+                drawImage: (source, ...args) => calls.push(['drawImage', source, ...args])
+            };
+            return ctx;
+        }
+
+        convertToBlob(options) {
+            return Promise.resolve({ size: 100, options });
+        }
+    }
+
+    beforeEach(() => {
+        FakeOffscreenCanvas.created = [];
+        global.OffscreenCanvas = FakeOffscreenCanvas;
+    });
+
+    afterEach(() => {
+        delete global.OffscreenCanvas;
+    });
+
+    test('should flatten JPEG onto white on an OffscreenCanvas', async () => {
+        const canvas = new FakeOffscreenCanvas(30, 20);
+        const result = await exportCanvas(canvas, { format: 'jpeg', quality: 0.8 });
+
+        const flat = FakeOffscreenCanvas.created[1];
+        expect(flat.calls).toEqual([
+            ['fillRect', '#ffffff', 0, 0, 30, 20],
+            ['drawImage', canvas, 0, 0, 30, 20, 0, 0, 30, 20]
+        ]);
+        expect(result).toEqual({ blob: { size: 100, options: { type: 'image/jpeg', quality: 0.8 } }, extension: 'jpg', quality: 0.8, fits: true });
+    });
+
+    test('should keep transparency in WebP', async () => {
+        const canvas = new FakeOffscreenCanvas(30, 20);
+        const result = await exportCanvas(canvas, { format: 'webp', quality: 0.5 });
+
+        expect(FakeOffscreenCanvas.created).toEqual([canvas]);
+        expect(result.blob.options).toEqual({ type: 'image/webp', quality: 0.5 });
+    });
+});
@@ -0,0 +1,75 @@
+// Mock chrome API globally before require
+global.chrome = {
+    runtime: {
+        onMessage: {
+            addListener: jest.fn()
+        }
+    }
+};
+
+require('../content_script.js');
+
+const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+function send(message) {
+    return new Promise(resolve => onMessage(message, {}, resolve));
+}
+
+const VIEWPORT_HEIGHT = 500;
+
+// A page scrolled by the window whose height can depend on how far it was scrolled
+function mockPage(getHeight) {
+    let scrollY = 0;
+    let height = getHeight(0);
+    const root = document.documentElement;
+    Object.defineProperty(root, 'clientHeight', { configurable: true, get: () => VIEWPORT_HEIGHT });
+    Object.defineProperty(root, 'scrollHeight', { configurable: true, get: () => height });
+    Object.defineProperty(window, 'scrollY', { configurable: true, get: () => scrollY });
+    window.scrollTo = jest.fn((x, y) => {
+        scrollY = Math.max(0, Math.min(y, height - VIEWPORT_HEIGHT));
+        height = Math.max(height, getHeight(scrollY));
+    });
+    return () => window.scrollTo.mock.calls.map(([, y]) => y);
+}
+
+describe('preloading lazy content', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    afterEach(async () => {
+        await send({ action: 'RESTORE', originalScrollX: 0, originalScrollY: 0 });
+    });
+
+    async function preload(maxHeight) {
+        await send({ action: 'INIT_CAPTURE', settle: { minWait: 0, maxWait: 50, quietPeriod: 0 }, fixedElements: {} });
+        return send({ action: 'PRELOAD', maxHeight });
+    }
+
+    test('should scroll to the bottom, including content loaded on the way, and back to the top', async () => {
+        // Another 1000px load once the first screen was scrolled past
+        const scrolls = mockPage(y => (y >= 500 ? 2000 : 1000));
+        const metrics = await preload(0);
+
+        expect(scrolls()).toEqual([0, 500, 1000, 1500, 0]);
+        expect(metrics.fullHeight).toBe(2000);
+    });
+
+    test('should stop following an endless page at the maximum height', async () => {
+        const scrolls = mockPage(y => y + 2 * VIEWPORT_HEIGHT);
+        const metrics = await preload(1500);
+
+        expect(scrolls()).toEqual([0, 500, 1000, 0]);
+        expect(metrics.fullHeight).toBe(2000);
+    });
+
+    test('should load lazy images right away and make them lazy again afterwards', async () => {
+        mockPage(() => 1000);
+        document.body.innerHTML = '<img loading="lazy" src="a.png"><img src="b.png">';
+        await preload(0);
+
+        expect(Array.from(document.images).map(img => img.getAttribute('loading'))).toEqual(['eager', null]);
+        await send({ action: 'RESTORE', originalScrollX: 0, originalScrollY: 0 });
+        expect(Array.from(document.images).map(img => img.getAttribute('loading'))).toEqual(['lazy', null]);
+    });
+});
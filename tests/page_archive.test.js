@@ -0,0 +1,64 @@
+const { TextEncoder, TextDecoder } = require('util');
+
+// jsdom does not provide TextEncoder (page_archive.js needs it for the files)
+global.TextEncoder = global.TextEncoder || TextEncoder;
+const { placeTextLayer, buildPageFiles } = require('../page_archive.js');
+
+const record = { url: 'https://example.com/a?b=1&c=2', title: 'Docs <beta>', timestamp: Date.UTC(2024, 0, 2) };
+
+describe('placeTextLayer', () => {
+    const collected = {
+        runs: [
+            { x: 110.4, y: 250.6, width: 80, height: 16, text: 'Hello' },
+            { x: 100, y: 5000, width: 80, height: 16, text: 'Below the image' },
+            { x: 0, y: 250, width: 50, height: 16, text: 'Left of the image' }
+        ],
+        links: [
+            { x: 120, y: 300, width: 40, height: 16, href: 'https://example.com/next' },
+            { x: 120, y: 320, width: 40, height: 16, href: 'javascript:void(0)' }
+        ]
+    };
+
+    test('should move runs into image coordinates and drop the ones outside', () => {
+        const layer = placeTextLayer(collected, { x: 100, y: 200 }, { width: 800, height: 600 });
+        expect(layer.width).toBe(800);
+        expect(layer.height).toBe(600);
+        expect(layer.runs).toEqual([{ x: 10, y: 51, width: 80, height: 16, text: 'Hello' }]);
+    });
+
+    test('should keep only links that open something', () => {
+        const layer = placeTextLayer(collected, { x: 100, y: 200 }, { width: 800, height: 600 });
+        expect(layer.links).toEqual([{ x: 20, y: 100, width: 40, height: 16, href: 'https://example.com/next' }]);
+    });
+});
+
+describe('buildPageFiles', () => {
+    const textLayer = {
+        width: 800,
+        height: 600,
+        runs: [{ x: 10, y: 20, width: 80, height: 20, text: 'a < b & c' }],
+        links: [{ x: 10, y: 50, width: 40, height: 16, href: 'https://example.com/"x"' }]
+    };
+
+    test('should bundle a searchable page, the text layer and the MHTML copy', () => {
+        const mhtml = new Uint8Array([1, 2, 3]);
+        const files = buildPageFiles('page', record, ['page-part1.png', 'page-part2.png'], textLayer, mhtml);
+        expect(files.map(file => file.name)).toEqual(['page.html', 'page-text.json', 'page.mhtml']);
+        expect(files[2].data).toBe(mhtml);
+        expect(JSON.parse(new TextDecoder().decode(files[1].data))).toEqual(textLayer);
+
+        const html = new TextDecoder().decode(files[0].data);
+        expect(html).toContain('<title>Docs &lt;beta&gt;</title>');
+        expect(html).toContain('<img src="page-part1.png" alt="">\n<img src="page-part2.png" alt="">');
+        expect(html).toContain('<span style="left:10px;top:20px;width:80px;height:20px;font-size:16px">a &lt; b &amp; c</span>');
+        expect(html).toContain('href="https://example.com/&quot;x&quot;"');
+        expect(html).toContain('<a href="page.mhtml">');
+    });
+
+    test('should leave out what was not saved', () => {
+        expect(buildPageFiles('page', record, ['page.png'], null, new Uint8Array(1)).map(file => file.name))
+            .toEqual(['page.mhtml']);
+        const html = new TextDecoder().decode(buildPageFiles('page', record, ['page.png'], textLayer, null)[0].data);
+        expect(html).not.toContain('.mhtml');
+    });
+});
@@ -0,0 +1,54 @@
+const { getMaxBottom, followPageGrowth } = require('../page_growth.js');
+
+describe('getMaxBottom', () => {
+    test('should stop after the extra screens when they come first', () => {
+        expect(getMaxBottom(3000, 800, { maxExtraScreens: 2, maxExtraPixels: 30000 })).toBe(4600);
+    });
+
+    test('should stop after the extra pixels when they come first', () => {
+        expect(getMaxBottom(3000, 800, { maxExtraScreens: 10, maxExtraPixels: 1000 })).toBe(4000);
+    });
+
+    test('should ignore a limit of 0', () => {
+        expect(getMaxBottom(3000, 800, { maxExtraScreens: 0, maxExtraPixels: 1000 })).toBe(4000);
+        expect(getMaxBottom(3000, 800, { maxExtraScreens: 2, maxExtraPixels: 0 })).toBe(4600);
+    });
+
+    test('should follow the page without end when both limits are 0', () => {
+        expect(getMaxBottom(3000, 800, { maxExtraScreens: 0, maxExtraPixels: 0 })).toBe(Infinity);
+    });
+});
+
+describe('followPageGrowth', () => {
+    function createState(maxBottom) {
+        return { maxBottom, fullHeight: 3000, bounds: { top: 0, bottom: 3000 } };
+    }
+
+    test('should extend the capture to the new bottom of the page', () => {
+        const state = createState(4600);
+        followPageGrowth(state, 3500);
+        expect(state.bounds.bottom).toBe(3500);
+        expect(state.fullHeight).toBe(3500);
+    });
+
+    test('should cut a growing page off at the maximum bottom', () => {
+        const state = createState(4600);
+        followPageGrowth(state, 4000);
+        followPageGrowth(state, 9000);
+        expect(state.bounds.bottom).toBe(4600);
+    });
+
+    test('should not shrink the capture when the page gets shorter', () => {
+        const state = createState(4600);
+        followPageGrowth(state, 3500);
+        followPageGrowth(state, 2000);
+        expect(state.bounds.bottom).toBe(3500);
+        expect(state.fullHeight).toBe(3500);
+    });
+
+    test('should follow a page without limits', () => {
+        const state = createState(Infinity);
+        followPageGrowth(state, 50000);
+        expect(state.bounds.bottom).toBe(50000);
+    });
+});
@@ -0,0 +1,83 @@
+const { getPageSize, computePageSlices, isUniformRow, buildPdf } = require('../pdf_writer.js');
+
+describe('getPageSize', () => {
+    test('should swap width and height for landscape', () => {
+        const portrait = getPageSize('letter', 'portrait');
+        const landscape = getPageSize('letter', 'landscape');
+        expect(portrait).toEqual({ width: 612, height: 792 });
+        expect(landscape).toEqual({ width: 792, height: 612 });
+    });
+
+    test('should fall back to A4 for unknown paper sizes', () => {
+        expect(getPageSize('tabloid', 'portrait').width).toBeCloseTo(595.28);
+    });
+});
+
+describe('computePageSlices', () => {
+    test('should cut at full page height when no quiet rows exist', () => {
+        const slices = computePageSlices(250, 100, () => false, 20);
+        expect(slices).toEqual([
+            { y: 0, height: 100 },
+            { y: 100, height: 100 },
+            { y: 200, height: 50 }
+        ]);
+    });
+
+    test('should move the break up to the nearest quiet row', () => {
+        const quietRows = new Set([90, 180]);
+        const slices = computePageSlices(250, 100, (y) => quietRows.has(y), 20);
+        expect(slices).toEqual([
+            { y: 0, height: 90 },
+            { y: 90, height: 90 },
+            { y: 180, height: 70 }
+        ]);
+    });
+
+    test('should not search further than the search range', () => {
+        const slices = computePageSlices(200, 100, (y) => y === 50, 20);
+        expect(slices[0]).toEqual({ y: 0, height: 100 });
+    });
+});
+
+describe('isUniformRow', () => {
+    test('should detect a blank row and a row crossing content', () => {
+        const blank = new Uint8ClampedArray([255, 255, 255, 255, 250, 252, 255, 255]);
+        const text = new Uint8ClampedArray([255, 255, 255, 255, 20, 20, 20, 255]);
+        expect(isUniformRow(blank)).toBe(true);
+        expect(isUniformRow(text)).toBe(false);
+    });
+});
+
+describe('buildPdf', () => {
+    function toText(bytes) {
+        return Array.from(bytes, b => String.fromCharCode(b)).join('');
+    }
+
+    const fakeJpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+    const layout = { pageWidth: 612, pageHeight: 792, margin: 36 };
+
+    test('should write one page object per image', () => {
+        const pdf = toText(buildPdf([
+            { jpeg: fakeJpeg, pixelWidth: 100, pixelHeight: 100 },
+            { jpeg: fakeJpeg, pixelWidth: 100, pixelHeight: 50 }
+        ], layout));
+
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf).toContain('/Count 2');
+        expect(pdf.match(/\/Type \/Page /g)).toHaveLength(2);
+        expect(pdf.trim().endsWith('%%EOF')).toBe(true);
+    });
+
+    test('should point xref entries at the object offsets', () => {
+        const pdf = toText(buildPdf([{ jpeg: fakeJpeg, pixelWidth: 10, pixelHeight: 10 }], layout));
+
+        const xrefStart = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+        expect(pdf.slice(xrefStart, xrefStart + 4)).toBe('xref');
+
+        const entries = pdf.slice(xrefStart).split('\n').slice(3, 8);
+        entries.forEach((entry, index) => {
+            const offset = parseInt(entry.slice(0, 10), 10);
+            expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+        });
+    });
+});
@@ -7,7 +7,7 @@ global.chrome = {
     }
 };
 
-const { findScrollableElement } = require('../content_script.js');
+const { findScrollableElement, resolveScrollContainer, getStableSelector, describeFrame } = require('../content_script.js');
 
 describe('findScrollableElement', () => {
     beforeEach(() => {
@@ -121,4 +121,86 @@ describe('findScrollableElement', () => {
         const result = findScrollableElement();
         expect(result).toBe(document.documentElement);
     });
+
+    test('should accept narrower containers when the width threshold is lowered', () => {
+        const panel = createMockElement('div', { overflowY: 'auto' }, { scrollHeight: 3000, clientHeight: 700, clientWidth: 300 });
+        document.body.appendChild(panel);
+
+        expect(findScrollableElement()).toBe(document.documentElement);
+        expect(findScrollableElement({ minWidthRatio: 0.25 })).toBe(panel);
+    });
+
+    test('should prefer a remembered container over the largest one', () => {
+        const sidebar = createMockElement('div', { overflowY: 'auto' }, { scrollHeight: 5000, clientHeight: 500 });
+        const main = createMockElement('div', { overflowY: 'auto' }, { scrollHeight: 2000, clientHeight: 500 });
+        main.id = 'main';
+        document.body.appendChild(sidebar);
+        document.body.appendChild(main);
+
+        expect(resolveScrollContainer({ selector: '#main' })).toBe(main);
+    });
+
+    test('should fall back to the heuristic when the remembered selector no longer matches', () => {
+        const div = createMockElement('div', { overflowY: 'auto' }, { scrollHeight: 2000, clientHeight: 500 });
+        document.body.appendChild(div);
+
+        expect(resolveScrollContainer({ selector: '#gone' })).toBe(div);
+        expect(resolveScrollContainer({ selector: 'div[[' })).toBe(div);
+    });
+
+    test('should describe the top frame and flag a large frame from another origin', () => {
+        const frame = createMockElement('iframe', {}, { rect: { bottom: 700, height: 700 } });
+        // Cross-origin frames hide their document
+        Object.defineProperty(frame, 'contentDocument', { value: null });
+        document.body.appendChild(frame);
+
+        expect(describeFrame()).toEqual({
+            scrolls: false,
+            rect: { x: 0, y: 0, width: 1024, height: 768 },
+            crossOriginFrame: true
+        });
+    });
+
+    test('should not flag same-origin or small frames', () => {
+        const small = createMockElement('iframe', {}, { rect: { bottom: 100, height: 100 } });
+        Object.defineProperty(small, 'contentDocument', { value: null });
+        const sameOrigin = createMockElement('iframe', {}, { rect: { bottom: 700, height: 700 } });
+        document.body.appendChild(small);
+        document.body.appendChild(sameOrigin);
+
+        expect(describeFrame().crossOriginFrame).toBe(false);
+    });
+});
+
+describe('getStableSelector', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('should use a stable id', () => {
+        document.body.innerHTML = '<div id="content"><main id="feed"></main></div>';
+        expect(getStableSelector(document.getElementById('feed'))).toBe('#feed');
+    });
+
+    test('should skip generated ids and class names', () => {
+        document.body.innerHTML = '<div id="app"><div id="ember1234" class="css-1q2w3e pane"></div></div>';
+        expect(getStableSelector(document.querySelector('.pane'))).toBe('div.pane');
+    });
+
+    test('should tell identical siblings apart', () => {
+        document.body.innerHTML = '<div id="split"><div class="pane"></div><div class="pane"></div></div>';
+        const second = document.querySelectorAll('.pane')[1];
+        const selector = getStableSelector(second);
+        expect(selector).toBe('div.pane:nth-of-type(2)');
+        expect(document.querySelector(selector)).toBe(second);
+    });
+
+    test('should use test attributes', () => {
+        document.body.innerHTML = '<section data-testid="results"></section><section></section>';
+        expect(getStableSelector(document.querySelector('[data-testid]'))).toBe('[data-testid="results"]');
+    });
+
+    test('should map the document scroller to html', () => {
+        expect(getStableSelector(document.documentElement)).toBe('html');
+    });
 });
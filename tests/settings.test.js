@@ -0,0 +1,146 @@
+const {
+    DEFAULT_SETTINGS,
+    loadSettings,
+    loadSiteOverrides,
+    saveSiteSetting,
+    mergeSettings,
+    normalizeHostname,
+    getEffectiveSettings,
+    diffSettings,
+    validateSettings
+} = require('../settings.js');
+
+function defaults() {
+    return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+}
+
+describe('mergeSettings', () => {
+    test('should fill in missing keys from the defaults', () => {
+        const merged = mergeSettings(DEFAULT_SETTINGS, { capture: { overlap: 40 } });
+        expect(merged.capture.overlap).toBe(40);
+        expect(merged.capture.maxSteps).toBe(DEFAULT_SETTINGS.capture.maxSteps);
+        expect(merged.history).toEqual(DEFAULT_SETTINGS.history);
+    });
+
+    test('should replace arrays instead of merging them', () => {
+        const merged = mergeSettings(DEFAULT_SETTINGS, { fixedElements: { removeSelectors: ['#chat'] } });
+        expect(merged.fixedElements.removeSelectors).toEqual(['#chat']);
+    });
+});
+
+describe('site overrides', () => {
+    test('should ignore case and a leading www.', () => {
+        expect(normalizeHostname(' WWW.Example.com ')).toBe('example.com');
+    });
+
+    test('should apply the overrides of the matching hostname only', () => {
+        const sites = { 'example.com': { capture: { overlap: 120 } } };
+        expect(getEffectiveSettings(defaults(), sites, 'www.example.com').capture.overlap).toBe(120);
+        expect(getEffectiveSettings(defaults(), sites, 'other.com').capture.overlap).toBe(80);
+    });
+
+    test('should store only the values that differ', () => {
+        const changed = defaults();
+        changed.capture.settleMaxMs = 5000;
+        changed.fixedElements.removeSelectors = ['#banner'];
+        expect(diffSettings(defaults(), changed)).toEqual({
+            capture: { settleMaxMs: 5000 },
+            fixedElements: { removeSelectors: ['#banner'] }
+        });
+        expect(diffSettings(defaults(), defaults())).toEqual({});
+    });
+
+    test('should never override global sections', () => {
+        const changed = defaults();
+        changed.history.maxCount = 5;
+        expect(diffSettings(defaults(), changed)).toEqual({});
+    });
+});
+
+describe('validateSettings', () => {
+    test('should accept the defaults', () => {
+        expect(validateSettings(defaults())).toBeNull();
+    });
+
+    test.each([
+        ['capture.settleMinMs', 5000, /minimum wait/],
+        ['capture.overlap', -1, /overlap/],
+        ['capture.maxSteps', 0, /scroll steps/],
+        ['capture.containerMinWidth', 1.5, /thresholds/],
+        ['fixedElements.policy', 'sometimes', /policy/],
+        ['output.format', 'gif', /format/],
+        ['output.quality', 0, /quality/],
+        ['output.provenanceBand', 'left', /provenance band/],
+        ['output.filenameTemplate', '  ', /file name/],
+        ['history.maxCount', -1, /History/]
+    ])('should reject %s = %p', (path, value, message) => {
+        const settings = defaults();
+        const keys = path.split('.');
+        settings[keys[0]][keys[1]] = value;
+        expect(validateSettings(settings)).toMatch(message);
+    });
+
+    test('should reject invalid selectors and patterns', () => {
+        const badSelector = defaults();
+        badSelector.fixedElements.removeSelectors = ['div[['];
+        expect(validateSettings(badSelector)).toMatch(/selector/);
+
+        const badPattern = defaults();
+        badPattern.redaction.customPatterns = ['(unclosed'];
+        expect(validateSettings(badPattern)).toMatch(/pattern/);
+    });
+});
+
+// chrome.storage.sync kept in memory
+function createSyncStorage(items) {
+    const sync = {
+        items,
+        writes: [],
+        get(keys) {
+            const wanted = keys === null ? Object.keys(sync.items) : [].concat(keys);
+            const result = {};
+            wanted.forEach(key => {
+                if (key in sync.items) result[key] = JSON.parse(JSON.stringify(sync.items[key]));
+            });
+            return Promise.resolve(result);
+        },
+        set(values) {
+            sync.writes.push(Object.keys(values));
+            Object.assign(sync.items, values);
+            return Promise.resolve();
+        },
+        remove(key) {
+            delete sync.items[key];
+            return Promise.resolve();
+        }
+    };
+    global.chrome = { storage: { sync } };
+    return sync;
+}
+
+describe('site overrides in storage', () => {
+    test('should apply the override stored under the site key', async () => {
+        createSyncStorage({ 'site:example.com': { capture: { overlap: 40 } } });
+        expect((await loadSettings('www.example.com')).capture.overlap).toBe(40);
+        expect((await loadSettings('other.org')).capture.overlap).toBe(DEFAULT_SETTINGS.capture.overlap);
+    });
+
+    test('should move overrides from the old shared item to their own keys', async () => {
+        const sync = createSyncStorage({
+            siteSettings: { 'a.com': { capture: { overlap: 10 } }, 'b.com': { capture: { maxSteps: 5 } } }
+        });
+        expect((await loadSettings('a.com')).capture.overlap).toBe(10);
+
+        const sites = await loadSiteOverrides();
+        expect(sites).toEqual({ 'a.com': { capture: { overlap: 10 } }, 'b.com': { capture: { maxSteps: 5 } } });
+        expect(Object.keys(sync.items).sort()).toEqual(['site:a.com', 'site:b.com']);
+    });
+
+    test('should remember a value by writing only that site', async () => {
+        const sync = createSyncStorage({ 'site:example.com': { capture: { overlap: 40 } }, 'site:other.org': {} });
+        await saveSiteSetting('example.com', 'capture', 'containerSelector', '#main');
+
+        expect(sync.writes).toEqual([['site:example.com']]);
+        expect(sync.items['site:example.com']).toEqual({ capture: { overlap: 40, containerSelector: '#main' } });
+    });
+});
@@ -0,0 +1,77 @@
+// Mock chrome API globally before require
+global.chrome = {
+    runtime: {
+        onMessage: {
+            addListener: jest.fn()
+        }
+    }
+};
+
+const { waitForSettle } = require('../content_script.js');
+
+const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+// Timers may fire a little late, never early; allow for the rounding of the timings
+const SLACK = 5;
+
+// Changes the page every `interval` ms, `count` times (or until stopped)
+function keepChanging(interval, count = Infinity) {
+    let changes = 0;
+    const timer = setInterval(() => {
+        document.body.appendChild(document.createElement('div'));
+        if (++changes >= count) clearInterval(timer);
+    }, interval);
+    return () => clearInterval(timer);
+}
+
+describe('waitForSettle', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('should settle after the quiet period on a page that does not change', async () => {
+        const timings = await waitForSettle({ minWait: 0, maxWait: 1000, quietPeriod: 40 });
+
+        expect(timings.timedOut).toBe(false);
+        expect(timings.quiet).toBeGreaterThanOrEqual(40 - SLACK);
+        expect(timings.total).toBeLessThan(1000);
+    });
+
+    test('should restart the quiet period when the page changes', async () => {
+        keepChanging(20, 3);
+        const timings = await waitForSettle({ minWait: 0, maxWait: 1000, quietPeriod: 40 });
+
+        // Last change at about 60 ms, then 40 quiet ms. The quiet phase starts a little after
+        // the first timer, so only count on the last two changes restarting it.
+        expect(timings.timedOut).toBe(false);
+        expect(timings.quiet).toBeGreaterThanOrEqual(80 - SLACK);
+    });
+
+    test('should give up after the maximum wait on a page that never gets quiet', async () => {
+        const stop = keepChanging(10);
+        const timings = await waitForSettle({ minWait: 0, maxWait: 150, quietPeriod: 50 });
+        stop();
+
+        expect(timings.timedOut).toBe(true);
+        expect(timings.total).toBeGreaterThanOrEqual(150 - SLACK);
+        expect(timings.total).toBeLessThan(150 + 200);
+    });
+
+    test('should wait at least the minimum wait on a quiet page', async () => {
+        const timings = await waitForSettle({ minWait: 100, maxWait: 1000, quietPeriod: 0 });
+
+        expect(timings.timedOut).toBe(false);
+        expect(timings.total).toBeGreaterThanOrEqual(100 - SLACK);
+    });
+
+    test('should not count progress bar updates as changes', async () => {
+        const respond = jest.fn();
+        let percent = 0;
+        const timer = setInterval(() => onMessage({ action: 'UPDATE_PROGRESS', percent: ++percent }, {}, respond), 10);
+        const timings = await waitForSettle({ minWait: 0, maxWait: 300, quietPeriod: 50 });
+        clearInterval(timer);
+        onMessage({ action: 'HIDE_PROGRESS' }, {}, respond);
+
+        expect(timings.timedOut).toBe(false);
+    });
+});
@@ -0,0 +1,74 @@
+const { hashRows, findRowOffset } = require('../stitch_align.js');
+
+const WIDTH = 8;
+
+// A synthetic page: every row gets its own pseudo-random pixels (fixed seed)
+function createPage(height, rowValue) {
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % 256;
+    };
+    const data = new Uint8ClampedArray(WIDTH * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const value = rowValue ? rowValue(y, x) : random();
+            data.set([value, 255 - value, value, 255], (y * WIDTH + x) * 4);
+        }
+    }
+    return { data, height };
+}
+
+// Row hashes of `rows` rows of the page starting at `top`
+function band(page, top, rows) {
+    return hashRows(page.data.subarray(top * WIDTH * 4, (top + rows) * WIDTH * 4), WIDTH, rows);
+}
+
+describe('hashRows', () => {
+    test('should treat tiny color differences as equal', () => {
+        const a = new Uint8ClampedArray([32, 64, 96, 255]);
+        const b = new Uint8ClampedArray([40, 70, 100, 0]);
+        const c = new Uint8ClampedArray([200, 64, 96, 255]);
+        expect(hashRows(a, 1, 1)[0]).toBe(hashRows(b, 1, 1)[0]);
+        expect(hashRows(a, 1, 1)[0]).not.toBe(hashRows(c, 1, 1)[0]);
+    });
+});
+
+describe('findRowOffset', () => {
+    const page = createPage(400);
+    // Bottom band of the tile above: page rows 100..179
+    const above = band(page, 100, 80);
+
+    test('should confirm the reported offset when the tiles line up', () => {
+        // The new tile starts at page row 140, i.e. row 40 of the band
+        const below = band(page, 140, 80);
+        expect(findRowOffset(above, below, 40, 16)).toEqual({ offset: 40, confidence: 1, reliable: true });
+    });
+
+    test('should find the true offset when the scroll position was off', () => {
+        // Reported 40, but the page really scrolled 3 rows further
+        const below = band(page, 143, 80);
+        const result = findRowOffset(above, below, 40, 16);
+        expect(result.offset).toBe(43);
+        expect(result.reliable).toBe(true);
+    });
+
+    test('should not look further than the search range', () => {
+        const below = band(page, 160, 80);
+        const result = findRowOffset(above, below, 40, 10);
+        expect(result).toMatchObject({ offset: 40, reliable: false });
+    });
+
+    test('should fall back to the reported offset for blank overlaps', () => {
+        const blank = createPage(400, () => 255);
+        const result = findRowOffset(band(blank, 100, 80), band(blank, 143, 80), 40, 16);
+        expect(result).toEqual({ offset: 40, confidence: 0, reliable: false });
+    });
+
+    test('should fall back to the reported offset for repeating content', () => {
+        // Stripes repeating every 10 rows match at several offsets
+        const striped = createPage(400, (y, x) => ((y % 10) * 25 + x) % 256);
+        const result = findRowOffset(band(striped, 100, 80), band(striped, 143, 80), 40, 16);
+        expect(result).toMatchObject({ offset: 40, reliable: false });
+    });
+});
@@ -0,0 +1,222 @@
+const { hashRows, findRowOffset, MIN_INFORMATIVE_ROWS } = require('../stitch_align.js');
+
+// stitcher.js uses stitch_align.js through globals, as it does in the worker
+Object.assign(global, { hashRows, findRowOffset, MIN_INFORMATIVE_ROWS });
+
+// A canvas that records what is drawn on it instead of painting
+class FakeOffscreenCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.draws = [];
+        FakeOffscreenCanvas.created.push(this);
+    }
+
+    getContext() {
+        const canvas = this;
+        return {
+            drawImage(source, ...args) {
+                canvas.draws.push({ source, args });
+            },
+            clearRect() {},
+            getImageData(x, y, width, height) {
+                canvas.read = true; // A band of rows being hashed for alignment
+                return { data: new Uint8ClampedArray(width * height * 4) };
+            }
+        };
+    }
+
+    convertToBlob() {
+        return Promise.resolve({ size: this.width * this.height, height: this.height });
+    }
+}
+FakeOffscreenCanvas.created = [];
+global.OffscreenCanvas = FakeOffscreenCanvas;
+
+// Tiles are "blobs" describing the bitmap they decode to
+global.createImageBitmap = (blob) => Promise.resolve({ ...blob, close() {} });
+
+const {
+    getSegmentHeight, getCanvasRows, placeTile, getRowSearch, getOutputHeight, createStitcher
+} = require('../stitcher.js');
+
+// Output segments, i.e. the canvases that are not read back for alignment
+function segmentCanvases() {
+    return FakeOffscreenCanvas.created.filter(canvas => !canvas.read && canvas.draws.length > 0);
+}
+
+function tileDraws(canvas) {
+    return canvas.draws.filter(draw => draw.source.tile).map(draw => {
+        const [sx, sy, sw, sh, dx, dy] = draw.args;
+        return { tile: draw.source.tile, sx, sy, sw, sh, dx, dy };
+    });
+}
+
+describe('getSegmentHeight', () => {
+    test('should stay within the canvas height and area limits', () => {
+        expect(getSegmentHeight(1000)).toBe(16384);
+        expect(getSegmentHeight(32767)).toBe(8192);
+    });
+});
+
+describe('getCanvasRows', () => {
+    test('should keep a canvas that is tall enough', () => {
+        expect(getCanvasRows(500, 800, 16384)).toBe(800);
+    });
+
+    test('should at least double when growing, up to the segment height', () => {
+        expect(getCanvasRows(900, 800, 16384)).toBe(1600);
+        expect(getCanvasRows(5000, 800, 16384)).toBe(5000);
+        expect(getCanvasRows(12000, 9000, 16384)).toBe(16384);
+    });
+});
+
+describe('placeTile', () => {
+    const area = { x: 0, y: 0, width: 200, height: 100 };
+    const placement = {
+        x: 0, y: 0, firstTile: { x: 0, y: 0 }, originX: 0, originY: 0,
+        scale: 2, overlap: 10, row: { delta: 0, shift: 0 }, headerRows: 0
+    };
+
+    test('should draw the first tile whole', () => {
+        expect(placeTile(area, placement)).toEqual({ sx: 0, sy: 0, sw: 200, sh: 100, dx: 0, dy: 0 });
+    });
+
+    test('should crop the overlap with the tiles above and to the left', () => {
+        expect(placeTile(area, { ...placement, x: 90, y: 40 })).toEqual({ sx: 20, sy: 20, sw: 180, sh: 80, dx: 200, dy: 100 });
+    });
+
+    test('should move a realigned row and crop it so no rows are missing or doubled', () => {
+        // Found 3 rows further down than reported, 5 rows moved in total by the rows so far
+        const tile = placeTile(area, { ...placement, y: 40, row: { delta: 3, shift: 5 } });
+        expect(tile).toEqual({ sx: 0, sy: 17, sw: 200, sh: 83, dx: 0, dy: 102 });
+    });
+
+    test('should place tiles relative to the origin and below the header band', () => {
+        expect(placeTile(area, { ...placement, originY: 10, y: 30, firstTile: { x: 0, y: 30 }, headerRows: 8 }).dy).toBe(48);
+        // Above the origin: the rows that would cover the header are dropped
+        expect(placeTile(area, { ...placement, originY: 30, headerRows: 8 })).toEqual({ sx: 0, sy: 60, sw: 200, sh: 40, dx: 0, dy: 8 });
+    });
+});
+
+describe('getRowSearch', () => {
+    test('should locate the new row in the bottom band of the previous one', () => {
+        // Scrolled 80 CSS px at 1x with 100-row tiles: row 80 of the previous tile, row 40 of its 60-row band
+        expect(getRowSearch(0, 80, 1, 100, 60)).toEqual({ expectedShift: 80, expectedOffset: 40 });
+    });
+
+    test('should skip rows that do not overlap', () => {
+        expect(getRowSearch(0, 100, 1, 100, 60)).toBeNull();
+        expect(getRowSearch(0, 20, 1, 100, 60)).toBeNull();
+    });
+});
+
+describe('getOutputHeight', () => {
+    test('should add the bands to what the tiles cover', () => {
+        expect(getOutputHeight(500, null, 20, 0)).toEqual({ contentHeight: 500, height: 500 });
+        expect(getOutputHeight(500, null, 0, 20)).toEqual({ contentHeight: 500, height: 520 });
+    });
+
+    test('should cut the tiles at the height limit', () => {
+        expect(getOutputHeight(500, 300, 20, 10)).toEqual({ contentHeight: 320, height: 330 });
+    });
+});
+
+describe('createStitcher', () => {
+    beforeEach(() => {
+        FakeOffscreenCanvas.created = [];
+    });
+
+    test('should not draw tiles over the header band', async () => {
+        const bandDraws = [];
+        const stitcher = createStitcher({
+            width: 100,
+            maxHeight: 300,
+            scale: 1,
+            overlap: 0,
+            originX: 0,
+            originY: 100, // An element 50px below the container's top, scrolled from y = 50
+            band: { position: 'header', height: 20, draw: (ctx, y) => bandDraws.push(y) },
+            onSegment: () => Promise.resolve()
+        });
+        await stitcher.addTile({ tile: 1, width: 100, height: 200 }, 0, 50);
+        const output = await stitcher.finish();
+
+        expect(bandDraws).toEqual([0]);
+        const [draw] = tileDraws(segmentCanvases()[0]);
+        // Rows above the element are dropped instead of painting rows 0-19
+        expect(draw).toEqual({ tile: 1, sx: 0, sy: 50, sw: 100, sh: 150, dx: 0, dy: 20 });
+        expect(output.height).toBe(170);
+    });
+
+    test('should draw the footer band below the last tile', async () => {
+        const bandDraws = [];
+        const stitcher = createStitcher({
+            width: 100,
+            maxHeight: null,
+            scale: 1,
+            overlap: 0,
+            originX: 0,
+            originY: 0,
+            band: { position: 'footer', height: 20, draw: (ctx, y) => bandDraws.push(y) },
+            onSegment: () => Promise.resolve()
+        });
+        await stitcher.addTile({ tile: 1, width: 100, height: 200 }, 0, 0);
+        const output = await stitcher.finish();
+
+        expect(bandDraws).toEqual([200]);
+        expect(output.height).toBe(220);
+    });
+
+    test('should size the canvas to a small capture instead of a whole segment', async () => {
+        const stitcher = createStitcher({
+            width: 300, maxHeight: 150, expectedHeight: 150, scale: 1, overlap: 0, originX: 0, originY: 0,
+            onSegment: () => Promise.resolve()
+        });
+        await stitcher.addTile({ tile: 1, width: 300, height: 800 }, 0, 0);
+        const output = await stitcher.finish();
+
+        expect(output.height).toBe(150);
+        const heights = FakeOffscreenCanvas.created.filter(canvas => !canvas.read).map(canvas => canvas.height);
+        expect(Math.max(...heights)).toBe(800);
+    });
+
+    test('should grow the canvas when the page grows', async () => {
+        const stitcher = createStitcher({
+            width: 300, maxHeight: null, expectedHeight: 1000, scale: 1, overlap: 0, originX: 0, originY: 0,
+            onSegment: () => Promise.resolve()
+        });
+        await stitcher.addTile({ tile: 1, width: 300, height: 1000 }, 0, 0);
+        await stitcher.addTile({ tile: 2, width: 300, height: 1000 }, 0, 1000);
+        const output = await stitcher.finish();
+
+        expect(output.height).toBe(2000);
+        const [first, grown] = segmentCanvases();
+        expect(first.height).toBe(1000);
+        expect(grown.height).toBe(2000);
+        // The grown canvas starts with what was drawn so far
+        expect(grown.draws[0].source).toBe(first);
+        expect(tileDraws(grown)).toEqual([{ tile: 2, sx: 0, sy: 0, sw: 300, sh: 1000, dx: 0, dy: 1000 }]);
+    });
+
+    test('should flush full segments and carry tiles across the segment edge', async () => {
+        const segments = [];
+        const stitcher = createStitcher({
+            width: 32767, maxHeight: null, expectedHeight: 15000, scale: 1, overlap: 0, originX: 0, originY: 0,
+            onSegment: (blob, part) => {
+                segments.push({ part, height: blob.height });
+                return Promise.resolve();
+            }
+        });
+        for (const [index, y] of [0, 5000, 10000].entries()) {
+            await stitcher.addTile({ tile: index + 1, width: 32767, height: 5000 }, 0, y);
+        }
+        const output = await stitcher.finish();
+
+        expect(output).toMatchObject({ height: 15000, parts: 2 });
+        expect(segments).toEqual([{ part: 0, height: 8192 }, { part: 1, height: 6808 }]);
+        // Tile 2 (rows 5000-9999) is drawn into both segments
+        const draws = segmentCanvases().flatMap(tileDraws).filter(draw => draw.tile === 2);
+        expect(draws.map(draw => draw.dy)).toEqual([5000, 5000 - 8192]);
+    });
+});
@@ -0,0 +1,92 @@
+const { TextEncoder, TextDecoder } = require('util');
+const { Blob } = require('buffer');
+const { crc32, blobEntry, buildZip, dosDateTime } = require('../zip_writer.js');
+
+// jsdom does not provide TextEncoder (zip_writer.js needs it for file names)
+global.TextEncoder = global.TextEncoder || TextEncoder;
+// jsdom's Blob cannot be read back; Node's can
+global.Blob = Blob;
+
+function bytes(str) {
+    return new TextEncoder().encode(str);
+}
+
+describe('crc32', () => {
+    test('should match the standard check value', () => {
+        expect(crc32(bytes('123456789'))).toBe(0xCBF43926);
+    });
+
+    test('should be 0 for no data', () => {
+        expect(crc32(new Uint8Array(0))).toBe(0);
+    });
+});
+
+describe('dosDateTime', () => {
+    test('should pack local date and time with 2-second resolution', () => {
+        const { date, time } = dosDateTime(new Date(2024, 0, 5, 9, 3, 7));
+        expect(date).toBe((44 << 9) | (1 << 5) | 5);
+        expect(time).toBe((9 << 11) | (3 << 5) | 3);
+    });
+});
+
+describe('buildZip', () => {
+    const files = [
+        { name: 'manifest.json', data: bytes('[]') },
+        { name: 'images/001-example.com.png', data: bytes('not really a png') }
+    ];
+
+    async function readZip(files) {
+        return new Uint8Array(await buildZip(files).arrayBuffer());
+    }
+
+    test('should return a ZIP blob', () => {
+        expect(buildZip(files).type).toBe('application/zip');
+    });
+
+    test('should write local headers, central directory and end record', async () => {
+        const zip = await readZip(files);
+        const view = new DataView(zip.buffer);
+
+        expect(view.getUint32(0, true)).toBe(0x04034B50);
+        expect(view.getUint32(zip.length - 22, true)).toBe(0x06054B50);
+        expect(view.getUint16(zip.length - 22 + 10, true)).toBe(2);
+
+        const centralOffset = view.getUint32(zip.length - 22 + 16, true);
+        expect(view.getUint32(centralOffset, true)).toBe(0x02014B50);
+    });
+
+    test('should store file data uncompressed with its CRC and size', async () => {
+        const zip = await readZip(files);
+        const view = new DataView(zip.buffer);
+
+        // Second local header follows the first file
+        const second = 30 + 'manifest.json'.length + 2;
+        expect(view.getUint32(second, true)).toBe(0x04034B50);
+        expect(view.getUint16(second + 8, true)).toBe(0);
+        expect(view.getUint32(second + 14, true)).toBe(crc32(files[1].data));
+        expect(view.getUint32(second + 22, true)).toBe(files[1].data.length);
+
+        const nameStart = second + 30;
+        const dataStart = nameStart + files[1].name.length;
+        expect(new TextDecoder().decode(zip.slice(nameStart, dataStart))).toBe(files[1].name);
+        expect(zip.slice(dataStart, dataStart + files[1].data.length)).toEqual(files[1].data);
+    });
+});
+
+describe('blobEntry', () => {
+    test('should keep the Blob and its CRC, not its bytes', async () => {
+        const blob = new Blob(['not really a png']);
+        const entry = await blobEntry('shot.png', blob);
+
+        expect(entry.data).toBe(blob);
+        expect(entry.crc).toBe(crc32(bytes('not really a png')));
+    });
+
+    test('should store Blob entries like byte arrays', async () => {
+        const date = new Date(2024, 0, 5);
+        const fromBytes = buildZip([{ name: 'a.txt', data: bytes('hello'), date }]);
+        const fromBlob = buildZip([await blobEntry('a.txt', new Blob(['hello']), date)]);
+
+        expect(new Uint8Array(await fromBlob.arrayBuffer())).toEqual(new Uint8Array(await fromBytes.arrayBuffer()));
+    });
+});
@@ -0,0 +1,127 @@
+// zip_writer.js
+// Minimal, dependency-free ZIP writer used by the batch page.
+// Files are stored uncompressed: PNG, JPEG and WebP are compressed already,
+// so deflating them again would cost time for next to no gain.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * CRC-32 (as used by ZIP and PNG) of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit value
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * A ZIP entry for a Blob that does not keep its bytes: the CRC is computed up front and the Blob
+ * itself goes into the archive. Blobs read from IndexedDB stay on disk, so an archive of them
+ * never holds more than one file in memory.
+ * @param {string} name
+ * @param {Blob} blob
+ * @param {Date} [date]
+ * @returns {Promise<{name: string, data: Blob, crc: number, date?: Date}>}
+ */
+async function blobEntry(name, blob, date) {
+    return { name, data: blob, crc: crc32(new Uint8Array(await blob.arrayBuffer())), date };
+}
+
+/**
+ * Builds a ZIP archive. File data is not copied: the archive Blob refers to the given bytes and Blobs.
+ * @param {Array<{name: string, data: Uint8Array|Blob, crc?: number, date?: Date}>} files Names may
+ *   contain '/' for folders. Blobs need their CRC, see blobEntry().
+ * @returns {Blob}
+ */
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    let centralSize = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = file.crc !== undefined ? file.crc : crc32(file.data);
+        const size = file.data instanceof Blob ? file.data.size : file.data.length;
+        const { time, date } = dosDateTime(file.date || new Date());
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed (2.0)
+        local.setUint16(6, FLAG_UTF8, true);
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true); // No extra field
+        localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true); // Version needed
+        central.setUint16(8, FLAG_UTF8, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        // Extra field, comment, disk number and attributes stay 0
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + size;
+        centralSize += 46 + name.length;
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+// MS-DOS time and date fields (local time, 2-second resolution, years from 1980)
+function dosDateTime(value) {
+    const year = Math.max(1980, value.getFullYear());
+    return {
+        time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        crc32,
+        blobEntry,
+        buildZip,
+        dosDateTime
+    };
+}